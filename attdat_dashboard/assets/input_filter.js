@@ -10,11 +10,66 @@
  * - Radio buttons (single selection)
  * - Switches/toggles (boolean with optional series toggle)
  * - Sliders (numeric range with optional custom labels)
- * - Text search (partial match filtering)
- * - Number inputs (precise numeric filtering)
+ * - Range sliders (two thumbs, inclusive min-max range, optional labels)
+ * - Text search over series names, categories and cross-tab rows
+ *   (data-match: substring, word, exact, regex, fuzzy/accent-insensitive)
+ * - Number inputs (precise numeric filtering with data-operator: =, !=, <, <=, >, >=, between);
+ *   a chart's x-axis only when it shows their variable or data-filter-role="category"
  * - Button groups (segmented controls)
  * - Series-based filtering (e.g., by country/group)
  * - Category/point-based filtering (e.g., by decade/time period)
+ * - Cross-tab filtering through a shared per-dataset index (value -> row lists)
+ * - Click-to-filter: clicking a point in a cross-tab chart filters every other
+ *   chart by its category (config.xVar, or the series via config.stackVar with
+ *   crossFilter: 'stack'); click again or press Escape to clear
+ * - Range brushing: dragging across a chart listed in window.dashboardrBrush
+ *   filters every other chart to the x range (numeric or ordered categories)
+ *   through the same path as range sliders; click the plot area or press
+ *   Escape to clear
+ * - Metric switching: an input on "metric" rebuilds trend charts from
+ *   window.dashboardrMetricData (rows, or named datasets); per-chart settings
+ *   (dataset, series key, time variable, title templates) live in
+ *   window.dashboardrMetricConfig
+ * - Chart types: chart_type inputs (column, bar, line, spline, area, pie,
+ *   stacked, percent) and an optional per-chart type toolbar configured in
+ *   window.dashboardrChartTypes (false opts a chart out); a toolbar choice
+ *   stays in place through later filter passes
+ * - Display options: switches, radios, button groups and selects with
+ *   data-chart-option (legend, dataLabels, logY, reversedStacks, gridlines,
+ *   tooltip, inverted) update the targeted charts without touching their data;
+ *   a switch on "show_legend" still toggles the legend
+ * - Cascading options: data-depends-on="country" narrows an input's options
+ *   to values that co-occur with the upstream selections in the cross-tab data
+ * - Live option counts: data-show-counts shows the cross-tab n behind each
+ *   option under the other active filters; data-empty-options="show|disable|hide"
+ *   controls zero-count options
+ * - Period presets: radio/button groups with data-periods='{"Label": {"from": 2015, "to": 2019}}'
+ *   restrict category and numeric x-axes to a range (either end may be omitted)
+ * - Explicit targeting via data-filter-role (series, category, crosstab, none)
+ *   and data-filter-targets (chart ids or CSS selectors)
+ * - Section scoping: inputs only filter charts inside their nearest
+ *   [data-filter-scope] container or .panel-tabset (data-filter-scope="page"
+ *   opts back into page-wide filtering)
+ * - Active-filter chips for every non-default input, each with a remove
+ *   button, plus "clear all" (placed in .dashboardr-filter-chips if present)
+ * - Deferred apply mode: with data-apply-mode="deferred" on any element, inputs
+ *   only stage changes until the toolbar's Apply button (Cancel reverts them)
+ * - Undo/redo history (toolbar buttons, Ctrl+Z / Ctrl+Shift+Z)
+ * - Named saved views stored in the browser (save, rename, delete, export and
+ *   import as JSON) plus author presets from a data-filter-presets attribute
+ * - Shareable URLs (non-default filter state mirrored into the query string)
+ * - Selections persisted per page in localStorage across reloads
+ *
+ * Events (dispatched on document):
+ * - dashboardr:filterchange - an input changed; detail has inputId (null when
+ *   several inputs changed at once), inputIds, previousState and state
+ * - dashboardr:filtersapplied - visible charts were filtered and redrawn
+ *   (cross-tabs of 5,000+ rows are aggregated in a Web Worker; the event
+ *   waits until their results are drawn);
+ *   detail has state, charts (number of charts processed), redrawn (charts
+ *   whose result changed), skipped (charts in hidden tab panes or off-screen,
+ *   filtered once they show up, which fires the event again for them) and
+ *   duration (milliseconds)
  */
 
 (function() {
@@ -25,12 +80,41 @@
   const choicesInstances = window.dashboardrChoicesInstances;
   const inputState = {};
   const defaultValues = {};  // Store default values for reset
+  const inputScopes = {};    // Scope container per input (null = whole page)
+  
+  // Input types whose value is an array of selected options
+  // (cross_filter: values clicked in a chart, with no element of its own)
+  const DISCRETE_INPUT_TYPES = ['select', 'checkbox', 'radio', 'button_group', 'cross_filter'];
+  
+  // Input types changed by dragging or typing, one event per step
+  const CONTINUOUS_INPUT_TYPES = ['slider', 'range_slider', 'text', 'number'];
+  
+  // Values accepted by data-filter-role
+  const FILTER_ROLES = ['series', 'category', 'crosstab', 'none'];
+  
+  // Values accepted by data-empty-options (zero-count options with data-show-counts)
+  const EMPTY_OPTION_MODES = ['show', 'disable', 'hide'];
+  
+  // Common "All" labels that mean "don't filter" (case-insensitive)
+  const ALL_LABELS = ['all', 'alle', 'tous', 'todo', 'tutti', 'すべて', '全部'];
+  
+  // Bump when the shape of the persisted payload changes
+  const STORAGE_VERSION = 1;
+  const storageKey = 'dashboardr-inputs:' + window.location.pathname;
+  const viewsStorageKey = 'dashboardr-views:' + window.location.pathname;
+  
+  // Snapshot of inputState as of the last filterchange event
+  let committedState = {};
   
   // Store original data for restoration
   const originalSeriesData = new WeakMap();
+  
+  // Series -> { source, key } describing the data it currently shows
+  const appliedSeriesData = new WeakMap();
 
   function initDashboardrInputs() {
     const hasChoices = typeof Choices !== 'undefined';
+    const knownInputs = new Set(Object.keys(inputState));
     
     if (!hasChoices) {
       console.warn('Choices.js not loaded - using native HTML for selects');
@@ -51,6 +135,9 @@
     // Initialize SLIDER inputs
     initSliderInputs();
     
+    // Initialize RANGE SLIDER inputs
+    initRangeSliderInputs();
+    
     // Initialize TEXT inputs
     initTextInputs();
     
@@ -60,6 +147,49 @@
     // Initialize BUTTON GROUP inputs
     initButtonGroupInputs();
     
+    deferredApply = document.querySelector('[data-apply-mode="deferred"]') !== null;
+    
+    const newInputs = Object.keys(inputState).filter(id => !knownInputs.has(id));
+    newInputs.forEach(inputId => {
+      const element = document.getElementById(inputId);
+      Object.assign(inputState[inputId], readFilterTargeting(element));
+      inputScopes[inputId] = findFilterScope(element);
+      if (element.dataset.periods) {
+        inputState[inputId].periods = readPeriodPresets(element);
+      }
+      const chartOption = element.dataset.chartOption ||
+        (inputState[inputId].filterVar === 'show_legend' && inputState[inputId].inputType === 'switch' ? 'legend' : null);
+      if (chartOption && CHART_OPTIONS[chartOption]) {
+        inputState[inputId].chartOption = chartOption;
+      } else if (chartOption) {
+        console.warn(`Input ${inputId} has unknown data-chart-option "${chartOption}"`);
+      }
+      if (element.dataset.dependsOn) {
+        inputState[inputId].dependsOn = element.dataset.dependsOn.split(',').map(v => v.trim()).filter(v => v);
+      }
+      if (element.dataset.showCounts !== undefined && element.dataset.showCounts !== 'false') {
+        inputState[inputId].showCounts = true;
+        const emptyOptions = (element.dataset.emptyOptions || 'disable').toLowerCase();
+        inputState[inputId].emptyOptions = EMPTY_OPTION_MODES.includes(emptyOptions) ? emptyOptions : 'disable';
+      }
+    });
+    
+    // Restore state for inputs initialized in this pass: saved selections
+    // first, then anything the URL specifies on top
+    const restoredFromStorage = restoreStateFromStorage(newInputs);
+    restoreStateFromUrl(newInputs, true);
+    updateDependentInputs();
+    if (restoredFromStorage) {
+      writeStateToUrl(false);
+    }
+    committedState = cloneInputState();
+    
+    if (newInputs.length > 0) {
+      resetHistoryBase();
+      initFilterToolbar();
+      renderFilterChips();
+    }
+    
     // Note: storeOriginalData and applyAllFilters are called by waitForChartsAndApply
     // after charts are fully loaded to avoid flickering
   }
@@ -77,13 +207,17 @@
         return;
       }
 
-      const filterVar = input.dataset.filterVar;
+      const filterVar = input.dataset.filterVar || input.dataset.chartOption;
       if (!filterVar) {
         console.warn(`Input ${inputId} missing data-filter-var`);
         return;
       }
 
       input.dataset.dashboardrInitialized = 'true';
+      
+      // Capture the option list before Choices.js takes over the element
+      const options = input.tagName === 'SELECT' ?
+        Array.from(input.options).map(opt => ({ value: opt.value, label: opt.textContent.trim() })) : [];
 
       if (hasChoices && input.tagName === 'SELECT') {
         try {
@@ -115,7 +249,8 @@
       inputState[inputId] = {
         filterVar,
         inputType: 'select',
-        selected: selected
+        selected: selected,
+        options: options
       };
       
       // Store default for reset
@@ -124,7 +259,7 @@
       input.addEventListener('change', () => {
         const selected = getSelectedValues(input);
         inputState[inputId].selected = selected;
-        applyAllFilters();
+        stageInputChange(inputId);
       });
     });
   }
@@ -165,7 +300,7 @@
       checkboxes.forEach(cb => {
         cb.addEventListener('change', () => {
           inputState[inputId].selected = getCheckboxValues(group);
-          applyAllFilters();
+          stageInputChange(inputId);
         });
       });
     });
@@ -184,7 +319,7 @@
         return;
       }
       
-      const filterVar = group.dataset.filterVar;
+      const filterVar = group.dataset.filterVar || group.dataset.chartOption;
       if (!filterVar) {
         console.warn(`Radio group ${inputId} missing data-filter-var`);
         return;
@@ -207,7 +342,7 @@
       radios.forEach(radio => {
         radio.addEventListener('change', () => {
           inputState[inputId].selected = getRadioValue(group);
-          applyAllFilters();
+          stageInputChange(inputId);
         });
       });
     });
@@ -226,7 +361,7 @@
         return;
       }
       
-      const filterVar = input.dataset.filterVar;
+      const filterVar = input.dataset.filterVar || input.dataset.chartOption;
       if (!filterVar) {
         console.warn(`Switch ${inputId} missing data-filter-var`);
         return;
@@ -254,7 +389,7 @@
       input.addEventListener('change', () => {
         inputState[inputId].selected = input.checked ? ['true'] : ['false'];
         inputState[inputId].value = input.checked;
-        applyAllFilters();
+        stageInputChange(inputId);
       });
     });
   }
@@ -322,7 +457,7 @@
         
         updateSliderDisplay(inputId, input, labels, newValue, min, step);
         updateSliderTrack(input);
-        applyAllFilters();
+        stageInputChange(inputId);
       });
     });
   }
@@ -347,6 +482,147 @@
     }
   }
 
+  /**
+   * Initialize RANGE SLIDER inputs (two thumbs)
+   * 
+   * Markup: a container with the id and data attributes, holding two
+   * range inputs (created when missing) and an optional #<id>_value display:
+   * <div class="dashboardr-range-slider" id="year_range" data-input-type="range_slider"
+   *      data-filter-var="year" data-min="2015" data-max="2022" data-step="1"
+   *      data-from="2015" data-to="2022" data-labels='["..."]'>
+   *   <input type="range" data-thumb="from"><input type="range" data-thumb="to">
+   * </div>
+   */
+  function initRangeSliderInputs() {
+    const rangeSliders = document.querySelectorAll('[data-input-type="range_slider"]');
+    
+    rangeSliders.forEach(container => {
+      const inputId = container.id;
+      
+      if (container.dataset.dashboardrInitialized === 'true') {
+        return;
+      }
+      
+      const filterVar = container.dataset.filterVar;
+      if (!filterVar) {
+        console.warn(`Range slider ${inputId} missing data-filter-var`);
+        return;
+      }
+      
+      container.dataset.dashboardrInitialized = 'true';
+      
+      // Parse custom labels if provided
+      let labels = null;
+      if (container.dataset.labels) {
+        try {
+          labels = JSON.parse(container.dataset.labels);
+        } catch (e) {
+          console.warn(`Failed to parse range slider labels for ${inputId}:`, e);
+        }
+      }
+      
+      const step = parseFloat(container.dataset.step) || 1;
+      const min = parseFloat(container.dataset.min) || 0;
+      const max = !isNaN(parseFloat(container.dataset.max)) ? parseFloat(container.dataset.max) :
+        (labels && labels.length > 0 ? min + (labels.length - 1) * step : 100);
+      
+      const fromThumb = getOrCreateThumb(container, 'from', 'Minimum');
+      const toThumb = getOrCreateThumb(container, 'to', 'Maximum');
+      [fromThumb, toThumb].forEach(thumb => {
+        thumb.min = min;
+        thumb.max = max;
+        thumb.step = step;
+      });
+      fromThumb.value = container.dataset.from !== undefined ? container.dataset.from : min;
+      toThumb.value = container.dataset.to !== undefined ? container.dataset.to : max;
+      
+      inputState[inputId] = {
+        filterVar,
+        inputType: 'range_slider',
+        selected: [fromThumb.value, toThumb.value],
+        value: [parseFloat(fromThumb.value), parseFloat(toThumb.value)],
+        min: min,
+        max: max,
+        step: step,
+        labels: labels
+      };
+      
+      // Store default for reset
+      defaultValues[inputId] = { value: inputState[inputId].value.slice() };
+      
+      updateRangeSlider(inputId);
+      
+      [fromThumb, toThumb].forEach(thumb => {
+        thumb.addEventListener('input', () => {
+          // Keep the thumbs from crossing
+          if (parseFloat(fromThumb.value) > parseFloat(toThumb.value)) {
+            thumb.value = thumb === fromThumb ? toThumb.value : fromThumb.value;
+          }
+          inputState[inputId].value = [parseFloat(fromThumb.value), parseFloat(toThumb.value)];
+          inputState[inputId].selected = [fromThumb.value, toThumb.value];
+          
+          updateRangeSlider(inputId);
+          stageInputChange(inputId);
+        });
+      });
+    });
+  }
+
+  function getOrCreateThumb(container, which, label) {
+    let thumb = container.querySelector(`input[type="range"][data-thumb="${which}"]`);
+    if (!thumb) {
+      thumb = document.createElement('input');
+      thumb.type = 'range';
+      thumb.dataset.thumb = which;
+      container.appendChild(thumb);
+    }
+    thumb.classList.add('dashboardr-range-thumb');
+    if (!thumb.hasAttribute('aria-label')) {
+      thumb.setAttribute('aria-label', label);
+    }
+    return thumb;
+  }
+
+  /**
+   * Get the label shown for a slider position, or the value itself
+   */
+  function sliderLabel(value, min, step, labels) {
+    if (labels && labels.length > 0) {
+      const idx = Math.round((value - min) / (step || 1));
+      if (idx >= 0 && idx < labels.length) return String(labels[idx]);
+    }
+    return String(value);
+  }
+
+  /**
+   * Update a range slider's value display, filled track and accessible values
+   */
+  function updateRangeSlider(inputId) {
+    const state = inputState[inputId];
+    const container = document.getElementById(inputId);
+    if (!state || !container) return;
+    
+    const [from, to] = state.value;
+    const span = (state.max - state.min) || 1;
+    container.style.setProperty('--range-from', ((from - state.min) / span) * 100 + '%');
+    container.style.setProperty('--range-to', ((to - state.min) / span) * 100 + '%');
+    
+    const fromLabel = sliderLabel(from, state.min, state.step, state.labels);
+    const toLabel = sliderLabel(to, state.min, state.step, state.labels);
+    const fromThumb = container.querySelector('[data-thumb="from"]');
+    const toThumb = container.querySelector('[data-thumb="to"]');
+    fromThumb.setAttribute('aria-valuetext', fromLabel);
+    toThumb.setAttribute('aria-valuetext', toLabel);
+    
+    // When both thumbs sit at the top end, keep "from" grabbable
+    fromThumb.classList.toggle('on-top', from >= state.max);
+    
+    const valueDisplay = document.getElementById(inputId + '_value');
+    if (valueDisplay) {
+      valueDisplay.textContent = from === to ? fromLabel : fromLabel + ' \u2013 ' + toLabel;
+    }
+  }
+
   /**
    * Initialize TEXT inputs
    */
@@ -368,11 +644,18 @@
       
       input.dataset.dashboardrInitialized = 'true';
       
+      let matchMode = input.dataset.match || 'substring';
+      if (!TEXT_MATCH_MODES.includes(matchMode)) {
+        console.warn(`Text input ${inputId} has unknown data-match "${matchMode}", using substring`);
+        matchMode = 'substring';
+      }
+      
       inputState[inputId] = {
         filterVar,
         inputType: 'text',
         selected: [input.value],
-        value: input.value
+        value: input.value,
+        matchMode: matchMode
       };
       
       // Store default for reset
@@ -385,14 +668,78 @@
         debounceTimer = setTimeout(() => {
           inputState[inputId].selected = [input.value];
           inputState[inputId].value = input.value;
-          applyAllFilters();
+          stageInputChange(inputId);
         }, 300);
       });
     });
   }
 
+  const TEXT_MATCH_MODES = ['substring', 'word', 'exact', 'regex', 'fuzzy'];
+  
+  // Letters that Unicode normalization does not decompose into base + accent
+  const FOLDED_LETTERS = {
+    '\u0142': 'l', '\u00f8': 'o', '\u0111': 'd', '\u00df': 'ss',
+    '\u00e6': 'ae', '\u0153': 'oe', '\u0131': 'i', '\u00fe': 'th'
+  };
+
+  /**
+   * Lowercase and strip accents so "Łódzkie" compares equal to "lodzkie"
+   */
+  function foldText(str) {
+    return String(str).toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[\u0142\u00f8\u0111\u00df\u00e6\u0153\u0131\u00fe]/g, ch => FOLDED_LETTERS[ch]);
+  }
+
+  function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Build a case-insensitive predicate for a text search, or null when the
+   * search is empty or (in regex mode) not a valid expression
+   */
+  function createTextMatcher(text, mode) {
+    const query = (text || '').trim();
+    if (!query) return null;
+    
+    switch (mode) {
+      case 'exact': {
+        const lower = query.toLowerCase();
+        return value => String(value).trim().toLowerCase() === lower;
+      }
+      case 'word': {
+        const pattern = new RegExp('(?:^|[^\\p{L}\\p{N}_])' + escapeRegExp(query) + '(?:$|[^\\p{L}\\p{N}_])', 'iu');
+        return value => pattern.test(String(value));
+      }
+      case 'regex': {
+        let pattern;
+        try {
+          pattern = new RegExp(query, 'i');
+        } catch (e) {
+          // Incomplete expression while typing - treat as no filter
+          return null;
+        }
+        return value => pattern.test(String(value));
+      }
+      case 'fuzzy': {
+        const folded = foldText(query);
+        return value => foldText(value).includes(folded);
+      }
+      default: {
+        const lower = query.toLowerCase();
+        return value => String(value).toLowerCase().includes(lower);
+      }
+    }
+  }
+
   /**
    * Initialize NUMBER inputs
+   * 
+   * data-operator selects the comparison (=, !=, <, <=, >, >= or their
+   * Unicode forms, and between). For "between" the upper bound comes from a
+   * companion <input type="number" id="<id>_to">. Empty values mean no filter.
    */
   function initNumberInputs() {
     const numberInputs = document.querySelectorAll('input[data-input-type="number"]');
@@ -412,28 +759,110 @@
       
       input.dataset.dashboardrInitialized = 'true';
       
-      const value = parseFloat(input.value) || 0;
+      const operator = normalizeOperator(input.dataset.operator);
+      const toInput = operator === 'between' ? document.getElementById(inputId + '_to') : null;
+      if (operator === 'between' && !toInput) {
+        console.warn(`Number input ${inputId} uses "between" but has no #${inputId}_to input`);
+      }
+      
       inputState[inputId] = {
         filterVar,
         inputType: 'number',
-        selected: [input.value],
-        value: value,
+        operator: operator,
+        selected: [],
+        value: null,
         min: parseFloat(input.min),
         max: parseFloat(input.max)
       };
+      readNumberInput(inputId);
       
       // Store default for reset
-      defaultValues[inputId] = { value: value };
+      defaultValues[inputId] = { value: getInputValue(inputId) };
       
-      input.addEventListener('input', () => {
-        const newValue = parseFloat(input.value) || 0;
-        inputState[inputId].selected = [input.value];
-        inputState[inputId].value = newValue;
-        applyAllFilters();
+      [input, toInput].filter(el => el).forEach(el => {
+        el.addEventListener('input', () => {
+          readNumberInput(inputId);
+          stageInputChange(inputId);
+        });
       });
     });
   }
 
+  // Accepted spellings for number input operators
+  const NUMBER_OPERATORS = {
+    '=': '=', '==': '=', 'eq': '=',
+    '!=': '!=', '\u2260': '!=', 'ne': '!=',
+    '<': '<', 'lt': '<',
+    '<=': '<=', '\u2264': '<=', 'le': '<=',
+    '>': '>', 'gt': '>',
+    '>=': '>=', '\u2265': '>=', 'ge': '>=',
+    'between': 'between'
+  };
+
+  function normalizeOperator(operator) {
+    if (!operator) return '=';
+    const normalized = NUMBER_OPERATORS[operator.trim().toLowerCase()];
+    if (!normalized) {
+      console.warn(`Unknown number operator "${operator}", using "="`);
+      return '=';
+    }
+    return normalized;
+  }
+
+  /**
+   * Parse a numeric input value; empty or invalid input gives null
+   */
+  function parseNumberValue(raw) {
+    if (raw === null || raw === undefined || String(raw).trim() === '') return null;
+    const num = parseFloat(raw);
+    return isNaN(num) ? null : num;
+  }
+
+  /**
+   * Sync a number input's state from its element(s).
+   * "between" inputs hold [from, to]; the others a single number (or null).
+   */
+  function readNumberInput(inputId) {
+    const state = inputState[inputId];
+    const input = document.getElementById(inputId);
+    if (state.operator === 'between') {
+      const toInput = document.getElementById(inputId + '_to');
+      state.value = [parseNumberValue(input.value), toInput ? parseNumberValue(toInput.value) : null];
+      state.selected = [input.value, toInput ? toInput.value : ''];
+    } else {
+      state.value = parseNumberValue(input.value);
+      state.selected = [input.value];
+    }
+  }
+
+  /**
+   * Build the active filter for a number input, or null when it has no valid value
+   */
+  function getNumberFilter(state) {
+    if (state.operator === 'between') {
+      const [from, to] = state.value;
+      if (from === null && to === null) return null;
+      return { operator: 'between', from: from, to: to };
+    }
+    if (state.value === null) return null;
+    return { operator: state.operator, value: state.value };
+  }
+
+  function matchesNumberFilter(num, filter) {
+    switch (filter.operator) {
+      case '=': return num === filter.value;
+      case '!=': return num !== filter.value;
+      case '<': return num < filter.value;
+      case '<=': return num <= filter.value;
+      case '>': return num > filter.value;
+      case '>=': return num >= filter.value;
+      case 'between':
+        return (filter.from === null || num >= filter.from) &&
+               (filter.to === null || num <= filter.to);
+      default: return true;
+    }
+  }
+
   /**
    * Initialize BUTTON GROUP inputs
    */
@@ -447,7 +876,7 @@
         return;
       }
       
-      const filterVar = group.dataset.filterVar;
+      const filterVar = group.dataset.filterVar || group.dataset.chartOption;
       if (!filterVar) {
         console.warn(`Button group ${inputId} missing data-filter-var`);
         return;
@@ -478,7 +907,7 @@
           btn.classList.add('active');
           
           inputState[inputId].selected = [btn.dataset.value];
-          applyAllFilters();
+          stageInputChange(inputId);
         });
       });
     });
@@ -528,383 +957,2621 @@
   }
 
   /**
-   * Store original series data for later restoration
+   * Get the current value of an input: an array of selected options for
+   * select/checkbox/radio/button_group, a scalar for the other types
    */
-  function storeOriginalData() {
-    if (typeof Highcharts === 'undefined') return;
-    
-    Highcharts.charts.filter(c => c).forEach(chart => {
-      if (!chart || !chart.series) return;
-      
-      chart.series.forEach(series => {
-        if (!originalSeriesData.has(series)) {
-          // Deep clone the data
-          const data = series.options.data ? 
-            JSON.parse(JSON.stringify(series.options.data)) : [];
-          originalSeriesData.set(series, {
-            data: data,
-            name: series.name
-          });
-        }
-      });
-    });
+  function getInputValue(inputId) {
+    const state = inputState[inputId];
+    if (!state) return undefined;
+    if (DISCRETE_INPUT_TYPES.includes(state.inputType)) {
+      return state.selected.slice();
+    }
+    return state.value;
   }
 
   /**
-   * Apply all filters together
+   * Get the default value of an input in the same shape as getInputValue()
    */
-  function applyAllFilters() {
-    if (typeof Highcharts === 'undefined') {
-      return setTimeout(applyAllFilters, 200);
+  function getDefaultValue(inputId) {
+    const defaults = defaultValues[inputId];
+    if (!defaults) return undefined;
+    return defaults.selected ? defaults.selected.slice() : defaults.value;
+  }
+
+  /**
+   * Whether an input holds at most one value (radio, button group, single select)
+   */
+  function isSingleChoice(inputId) {
+    const state = inputState[inputId];
+    if (state.inputType === 'radio' || state.inputType === 'button_group') return true;
+    const element = document.getElementById(inputId);
+    return state.inputType === 'select' && !!element && element.tagName === 'SELECT' && !element.multiple;
+  }
+
+  function valuesEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * Get the values an input can take (option values, or bounds for numeric inputs)
+   */
+  function getInputOptions(inputId) {
+    const state = inputState[inputId];
+    const element = document.getElementById(inputId);
+    if (!state || !element) return [];
+    
+    switch (state.inputType) {
+      case 'select':
+        return state.options.map(opt => opt.value);
+      case 'checkbox':
+        return Array.from(element.querySelectorAll('input[type="checkbox"]')).map(cb => cb.value);
+      case 'radio':
+        return Array.from(element.querySelectorAll('input[type="radio"]')).map(radio => radio.value);
+      case 'button_group':
+        return Array.from(element.querySelectorAll('.dashboardr-button-option')).map(btn => btn.dataset.value);
+      case 'slider':
+      case 'range_slider':
+        return [state.min, state.max, state.step];
+      case 'number':
+        return [state.min, state.max];
+      default:
+        return [];
     }
+  }
 
-    const charts = Highcharts.charts.filter(c => c);
-    if (!charts || charts.length === 0) {
-      return setTimeout(applyAllFilters, 200);
+  /**
+   * Small non-cryptographic string hash (djb2), base-36 encoded
+   */
+  function hashString(str) {
+    let hash = 5381;
+    for (let i = 0; i < str.length; i++) {
+      hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
     }
+    return (hash >>> 0).toString(36);
+  }
 
-    // Collect all active filters with their metadata
-    const filters = {};
-    const sliderFilters = {};
-    const switchFilters = {};
-    const textFilters = {};
-    const numberFilters = {};
-    const periodFilters = {};  // Special handling for period presets
-    
-    Object.keys(inputState).forEach(id => {
-      const state = inputState[id];
-      if (state.inputType === 'slider') {
-        sliderFilters[state.filterVar] = {
-          value: state.value,
-          min: state.min,
-          max: state.max,
-          step: state.step || 1,
-          labels: state.labels
-        };
-      } else if (state.inputType === 'switch') {
-        switchFilters[state.filterVar] = state.value;
-      } else if (state.inputType === 'text') {
-        if (state.value && state.value.trim()) {
-          textFilters[state.filterVar] = state.value.trim().toLowerCase();
-        }
-      } else if (state.inputType === 'number') {
-        numberFilters[state.filterVar] = state.value;
-      } else if (state.filterVar === 'period') {
-        // Handle period presets (maps to year ranges)
-        periodFilters[state.filterVar] = state.selected;
-      } else {
-        // Select, checkbox, radio, button_group all use selected array
-        filters[state.filterVar] = state.selected;
-      }
-    });
+  /**
+   * Version key for one input. Changes whenever a re-render changes the
+   * input's type, variable or options, which invalidates saved values.
+   */
+  function getInputSignature(inputId) {
+    const state = inputState[inputId];
+    return hashString(JSON.stringify([state.inputType, state.filterVar, getInputOptions(inputId)]));
+  }
 
-    charts.forEach(chart => {
-      if (!chart || !chart.series) return;
-      
-      // Check if this chart has cross-tab data for client-side filtering
-      const chartId = chart.options && chart.options.chart && chart.options.chart.id;
-      if (chartId && window.dashboardrCrossTab && window.dashboardrCrossTab[chartId]) {
-        const crossTabInfo = window.dashboardrCrossTab[chartId];
-        const result = rebuildFromCrossTab(chart, crossTabInfo, filters);
-        if (result) {
-          // Chart was rebuilt from cross-tab, skip normal filtering
-          return;
-        }
-      }
+  /**
+   * Write a value into an input, keeping the DOM, any Choices instance
+   * and inputState in sync. Does not re-apply filters.
+   */
+  function setInputValue(inputId, value) {
+    const state = inputState[inputId];
+    if (state && state.inputType === 'cross_filter') {
+      setCrossFilter(inputId, value === null || value === undefined ? [] :
+        (Array.isArray(value) ? value : [value]).map(v => String(v)));
+      return;
+    }
+    if (state && state.inputType === 'brush') {
+      setBrush(inputId, value);
+      return;
+    }
+    const element = document.getElementById(inputId);
+    if (!state || !element) return;
+    
+    if (DISCRETE_INPUT_TYPES.includes(state.inputType)) {
+      const values = value === null || value === undefined ? [] :
+        (Array.isArray(value) ? value : [value]).map(v => String(v));
       
-      // Store original categories if not already stored
-      if (!chart._originalCategories && chart.xAxis && chart.xAxis[0] && chart.xAxis[0].categories) {
-        chart._originalCategories = chart.xAxis[0].categories.slice();
-      }
-      
-      // Get original x-axis categories
-      const originalCategories = chart._originalCategories || 
-        (chart.xAxis && chart.xAxis[0] && chart.xAxis[0].categories ? chart.xAxis[0].categories : null);
-      
-      // Also check for numeric x-axis (no categories, but has point.x values)
-      const hasNumericXAxis = !originalCategories && chart.series.length > 0 && 
-        chart.series[0].data && chart.series[0].data.length > 0 &&
-        chart.series[0].data[0] && typeof chart.series[0].data[0].x === 'number';
-      
-      // Determine which filters apply to series names vs categories
-      const seriesNames = chart.series.map(s => s.name);
-      
-      // Convert categories to strings for comparison (they might be numbers)
-      const categoryStrings = originalCategories ? originalCategories.map(c => String(c)) : [];
-      
-      // Calculate which categories should be visible
-      let visibleCategoryIndices = originalCategories ? originalCategories.map((_, i) => i) : [];
-      
-      if (originalCategories) {
-        // Apply period preset filters first (converts to year ranges)
-        Object.keys(periodFilters).forEach(filterVar => {
-          const selected = periodFilters[filterVar];
-          if (selected && selected.length > 0) {
-            const periodValue = selected[0];  // Radio returns array with one value
-            
-            if (periodValue && !periodValue.includes('All')) {
-              // Parse period preset and filter years
-              visibleCategoryIndices = visibleCategoryIndices.filter(idx => {
-                const catNum = parseFloat(originalCategories[idx]);
-                if (isNaN(catNum)) return true;
-                
-                if (periodValue.includes('Pre-COVID') || periodValue.includes('2015-2019')) {
-                  return catNum >= 2015 && catNum <= 2019;
-                } else if (periodValue.includes('Post-COVID') || periodValue.includes('2020')) {
-                  return catNum >= 2020;
-                }
-                return true;
-              });
-            }
+      if (state.inputType === 'select') {
+        if (choicesInstances[inputId]) {
+          // The choice list leaves out unavailable and hidden options, so
+          // rebuild it around the requested values before selecting them
+          state.selected = values.filter(v => state.options.some(opt => opt.value === v));
+          renderInputOptions(inputId);
+          choicesInstances[inputId].removeActiveItems();
+          if (values.length > 0) {
+            choicesInstances[inputId].setChoiceByValue(values);
           }
+        } else if (element.tagName === 'SELECT') {
+          Array.from(element.options).forEach(opt => {
+            opt.selected = values.includes(opt.value);
+          });
+        }
+        state.selected = getSelectedValues(element);
+      } else if (state.inputType === 'checkbox') {
+        element.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+          cb.checked = values.includes(cb.value);
         });
-        
-        // Apply discrete category filters to determine visible categories
-        Object.keys(filters).forEach(filterVar => {
-          const selectedValues = filters[filterVar];
-          if (selectedValues && selectedValues.length > 0) {
-            const selectedStrings = selectedValues.map(v => String(v));
-            const isCategoryFilter = selectedStrings.some(v => categoryStrings.includes(v)) ||
-                                     categoryStrings.some(c => selectedStrings.includes(c));
-            
-            if (isCategoryFilter) {
-              visibleCategoryIndices = visibleCategoryIndices.filter(idx => {
-                const category = String(originalCategories[idx]);
-                return selectedStrings.includes(category);
-              });
-            }
-          }
+        state.selected = getCheckboxValues(element);
+      } else if (state.inputType === 'radio') {
+        element.querySelectorAll('input[type="radio"]').forEach(radio => {
+          radio.checked = radio.value === values[0];
         });
-        
-        // Apply slider filters to determine visible categories
-        Object.keys(sliderFilters).forEach(filterVar => {
-          const sliderInfo = sliderFilters[filterVar];
-          
-          // If slider has labels, use label-based filtering
-          if (sliderInfo.labels && sliderInfo.labels.length > 0) {
-            // Get the label at current slider position
-            const labelIdx = Math.round((sliderInfo.value - sliderInfo.min) / (sliderInfo.step || 1));
-            const startLabel = sliderInfo.labels[labelIdx];
-            
-            if (startLabel) {
-              // Find the index of this label in the original categories
-              const startCategoryIdx = originalCategories.findIndex(cat => String(cat) === String(startLabel));
-              
-              if (startCategoryIdx >= 0) {
-                // Keep only categories at or after this index
-                visibleCategoryIndices = visibleCategoryIndices.filter(idx => idx >= startCategoryIdx);
-              }
-            }
-          } else {
-            // Fallback: try numeric comparison
-            visibleCategoryIndices = visibleCategoryIndices.filter(idx => {
-              const catNum = parseFloat(originalCategories[idx]);
-              if (!isNaN(catNum)) {
-                return catNum >= sliderInfo.value;
-              }
-              return true;
-            });
-          }
+        state.selected = getRadioValue(element);
+      } else if (state.inputType === 'button_group') {
+        const buttons = element.querySelectorAll('.dashboardr-button-option');
+        buttons.forEach(btn => {
+          btn.classList.toggle('active', btn.dataset.value === values[0]);
         });
+        state.selected = values.length > 0 &&
+          Array.from(buttons).some(btn => btn.dataset.value === values[0]) ? [values[0]] : [];
       }
+    } else if (state.inputType === 'switch') {
+      element.checked = value === true || value === 'true';
+      state.value = element.checked;
+      state.selected = element.checked ? ['true'] : ['false'];
+    } else if (state.inputType === 'slider') {
+      element.value = value;
+      state.value = parseFloat(element.value);
+      state.selected = [element.value];
+      updateSliderTrack(element);
+      updateSliderDisplay(inputId, element, state.labels, state.value, state.min, state.step);
+    } else if (state.inputType === 'range_slider') {
+      const bounds = Array.isArray(value) ? value : [state.min, state.max];
+      const fromThumb = element.querySelector('[data-thumb="from"]');
+      const toThumb = element.querySelector('[data-thumb="to"]');
+      fromThumb.value = Math.min(parseFloat(bounds[0]), parseFloat(bounds[1]));
+      toThumb.value = Math.max(parseFloat(bounds[0]), parseFloat(bounds[1]));
+      state.value = [parseFloat(fromThumb.value), parseFloat(toThumb.value)];
+      state.selected = [fromThumb.value, toThumb.value];
+      updateRangeSlider(inputId);
+    } else if (state.inputType === 'text') {
+      element.value = value === null || value === undefined ? '' : String(value);
+      state.value = element.value;
+      state.selected = [element.value];
+    } else if (state.inputType === 'number') {
+      const toNumberText = v => v === null || v === undefined ? '' : String(v);
+      if (state.operator === 'between') {
+        const bounds = Array.isArray(value) ? value : [value, null];
+        element.value = toNumberText(bounds[0]);
+        const toInput = document.getElementById(inputId + '_to');
+        if (toInput) toInput.value = toNumberText(bounds[1]);
+      } else {
+        element.value = toNumberText(value);
+      }
+      readNumberInput(inputId);
+    }
+  }
+
+  function cloneInputState() {
+    return JSON.parse(JSON.stringify(inputState));
+  }
+
+  /**
+   * Filter inputs whose value differs from the last committed snapshot
+   * (display options apply at once, so they are never pending)
+   */
+  function getChangedInputs() {
+    return Object.keys(inputState).filter(inputId => {
+      if (inputState[inputId].chartOption) return false;
+      const previous = committedState[inputId];
+      // Chart selections appear after the snapshot; untouched they are unchanged
+      if (!previous) return !valuesEqual(getInputValue(inputId), getDefaultValue(inputId));
+      const previousValue = DISCRETE_INPUT_TYPES.includes(previous.inputType) ?
+        previous.selected : previous.value;
+      return !valuesEqual(previousValue, getInputValue(inputId));
+    });
+  }
+
+  /**
+   * Dispatch dashboardr:filterchange and commit the new snapshot
+   */
+  function notifyFilterChange(inputIds) {
+    if (inputIds.length === 0) return;
+    const previousState = committedState;
+    const state = cloneInputState();
+    committedState = state;
+    
+    document.dispatchEvent(new CustomEvent('dashboardr:filterchange', {
+      detail: {
+        inputId: inputIds.length === 1 ? inputIds[0] : null,
+        inputIds: inputIds,
+        previousState: previousState,
+        state: state
+      }
+    }));
+  }
+
+  /**
+   * Commit a change to inputState: called (via stageInputChange) by every
+   * input listener with the input's id, and by bulk changes such as reset
+   * without one. Also commits any changes staged in deferred apply mode.
+   * 
+   * @param {string} [inputId] - The input that changed
+   * @param {Object} [options]
+   * @param {boolean} [options.apply=true] - Re-apply filters to the charts
+   * @param {boolean} [options.history=true] - Record the change for undo
+   * @param {boolean} [options.continuous=false] - Part of a drag or typing:
+   *   merged with the steps around it into a single undo entry
+   */
+  function handleInputChange(inputId, options) {
+    const opts = options || {};
+    const cascaded = updateDependentInputs();
+    notifyFilterChange(inputId && !cascaded && !deferredApply ? [inputId] : getChangedInputs());
+    if (opts.apply !== false) {
+      applyAllFilters();
+    }
+    if (opts.history !== false) {
+      if (opts.continuous) {
+        scheduleHistoryRecord();
+      } else {
+        recordHistory();
+      }
+    }
+    schedulePersist();
+    updatePendingChanges();
+  }
+
+  // ============================================
+  // DEFERRED APPLY MODE
+  // ============================================
+  
+  // Set when any element on the page has data-apply-mode="deferred"
+  let deferredApply = false;
+
+  /**
+   * Entry point for input listeners. In deferred mode the change is only
+   * staged (options still cascade) until applyStagedChanges().
+   */
+  function stageInputChange(inputId) {
+    if (!deferredApply) {
+      handleInputChange(inputId, {
+        continuous: !!inputId && CONTINUOUS_INPUT_TYPES.includes(inputState[inputId].inputType)
+      });
+      return;
+    }
+    if (inputId && inputState[inputId].chartOption) {
+      applyDisplayOptions();
+      schedulePersist();
+      return;
+    }
+    updateDependentInputs();
+    updatePendingChanges();
+  }
+
+  /**
+   * Redraw charts whose display options changed, leaving staged filters alone
+   */
+  function applyDisplayOptions() {
+    if (typeof Highcharts === 'undefined') return;
+    Highcharts.charts.forEach(chart => {
+      if (chart && chart.series && applyChartOptions(chart, collectFilters(chart).inputIds)) {
+        chart.redraw();
+      }
+    });
+  }
+
+  /**
+   * Commit every staged change in a single filter pass
+   */
+  function applyStagedChanges() {
+    if (getChangedInputs().length === 0) return;
+    handleInputChange();
+  }
+
+  /**
+   * Revert staged inputs to the last applied (committed) values
+   */
+  function cancelStagedChanges() {
+    getChangedInputs().forEach(inputId => {
+      const committed = committedState[inputId];
+      if (committed) {
+        setInputValue(inputId, DISCRETE_INPUT_TYPES.includes(committed.inputType) ?
+          committed.selected : committed.value);
+      } else if (inputState[inputId].sourceChart) {
+        // A chart selection first made while changes were staged
+        setInputValue(inputId, getDefaultValue(inputId));
+      }
+    });
+    updateDependentInputs();
+    updatePendingChanges();
+  }
+
+  /**
+   * Refresh the Apply/Cancel buttons and the pending-changes badge
+   */
+  function updatePendingChanges() {
+    if (!deferredApply) return;
+    const pending = getChangedInputs().length;
+    document.querySelectorAll('.dashboardr-filter-toolbar [data-action="apply"]').forEach(btn => {
+      btn.disabled = pending === 0;
+      const badge = btn.querySelector('.dashboardr-pending-badge');
+      badge.textContent = String(pending);
+      badge.hidden = pending === 0;
+      btn.setAttribute('aria-label', pending > 0 ?
+        `Apply ${pending} pending filter change${pending === 1 ? '' : 's'}` : 'Apply filters');
+    });
+    document.querySelectorAll('.dashboardr-filter-toolbar [data-action="cancel"]').forEach(btn => {
+      btn.disabled = pending === 0;
+    });
+  }
+
+  /**
+   * Apply and Cancel buttons for the filter toolbar
+   */
+  function createApplyGroup() {
+    const group = document.createElement('div');
+    group.className = 'dashboardr-toolbar-group dashboardr-apply-group';
+    
+    const applyButton = createToolbarButton('apply', 'Apply', 'Apply pending filter changes');
+    applyButton.classList.add('dashboardr-toolbar-button-primary');
+    const badge = document.createElement('span');
+    badge.className = 'dashboardr-pending-badge';
+    badge.hidden = true;
+    applyButton.appendChild(badge);
+    applyButton.addEventListener('click', applyStagedChanges);
+    
+    const cancelButton = createToolbarButton('cancel', 'Cancel', 'Discard pending filter changes');
+    cancelButton.addEventListener('click', cancelStagedChanges);
+    
+    group.appendChild(applyButton);
+    group.appendChild(cancelButton);
+    return group;
+  }
+
+  /**
+   * Read an input's value from URL query parameters.
+   * Returns undefined when the URL does not mention the input.
+   */
+  function readValueFromUrl(params, inputId) {
+    const state = inputState[inputId];
+    if (!state || !params.has(inputId)) return undefined;
+    const raw = params.getAll(inputId);
+    
+    if (DISCRETE_INPUT_TYPES.includes(state.inputType)) {
+      // A single empty parameter encodes an empty selection
+      return raw.filter(v => v !== '');
+    }
+    if (state.inputType === 'switch') {
+      return raw[0] === 'true';
+    }
+    if (state.inputType === 'number') {
+      // Empty parameters encode cleared values
+      return state.operator === 'between' ?
+        [parseNumberValue(raw[0]), parseNumberValue(raw[1])] : parseNumberValue(raw[0]);
+    }
+    if (state.inputType === 'slider') {
+      const num = parseFloat(raw[0]);
+      return isNaN(num) ? undefined : num;
+    }
+    if (state.inputType === 'range_slider') {
+      const bounds = raw.slice(0, 2).map(v => parseFloat(v));
+      return bounds.length === 2 && !bounds.some(isNaN) ? bounds : undefined;
+    }
+    return raw[0];
+  }
+
+  /**
+   * Restore inputs from the URL. Inputs not present in the URL fall back
+   * to their defaults, so this also handles back/forward navigation.
+   * 
+   * @param {string[]} inputIds - Inputs to restore
+   * @param {boolean} keepMissing - Leave inputs absent from the URL untouched
+   * @returns {boolean} True if any input changed
+   */
+  function restoreStateFromUrl(inputIds, keepMissing) {
+    const params = new URLSearchParams(window.location.search);
+    let changed = false;
+    inputIds.forEach(inputId => {
+      const fromUrl = readValueFromUrl(params, inputId);
+      if (fromUrl === undefined && keepMissing) return;
+      const value = fromUrl !== undefined ? fromUrl : getDefaultValue(inputId);
+      if (!valuesEqual(value, getInputValue(inputId))) {
+        setInputValue(inputId, value);
+        changed = true;
+      }
+    });
+    return changed;
+  }
+
+  /**
+   * Mirror non-default input values into the URL query string
+   */
+  function writeStateToUrl(push) {
+    if (!window.history || !window.history.replaceState) return;
+    
+    const params = new URLSearchParams(window.location.search);
+    Object.keys(inputState).forEach(inputId => {
+      params.delete(inputId);
+      // Chart click selections and brushed ranges are transient
+      if (inputState[inputId].sourceChart) return;
+      const value = getInputValue(inputId);
+      if (valuesEqual(value, getDefaultValue(inputId))) return;
+      
+      if (Array.isArray(value)) {
+        if (value.length === 0) {
+          params.append(inputId, '');
+        } else {
+          value.forEach(v => params.append(inputId, v === null ? '' : v));
+        }
+      } else {
+        params.set(inputId, value === null ? '' : String(value));
+      }
+    });
+    
+    const query = params.toString();
+    const url = window.location.pathname + (query ? '?' + query : '') + window.location.hash;
+    if (url === window.location.pathname + window.location.search + window.location.hash) return;
+    
+    if (push) {
+      window.history.pushState({ dashboardrInputs: true }, '', url);
+    } else {
+      window.history.replaceState({ dashboardrInputs: true }, '', url);
+    }
+  }
+
+  function readStorage() {
+    try {
+      const stored = JSON.parse(window.localStorage.getItem(storageKey));
+      return stored && stored.version === STORAGE_VERSION ? stored : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Save current input values for this page to localStorage
+   */
+  function saveStateToStorage() {
+    const stored = readStorage() || { version: STORAGE_VERSION, inputs: {} };
+    Object.keys(inputState).forEach(inputId => {
+      if (inputState[inputId].sourceChart) return;
+      stored.inputs[inputId] = {
+        signature: getInputSignature(inputId),
+        value: getInputValue(inputId)
+      };
+    });
+    
+    try {
+      window.localStorage.setItem(storageKey, JSON.stringify(stored));
+    } catch (e) {
+      // Storage unavailable (private mode, quota) - persistence is best effort
+    }
+  }
+
+  /**
+   * Restore saved values for the given inputs. Entries whose signature no
+   * longer matches the rendered input are stale and ignored.
+   * 
+   * @returns {boolean} True if any input changed
+   */
+  function restoreStateFromStorage(inputIds) {
+    const stored = readStorage();
+    if (!stored || !stored.inputs) return false;
+    
+    let changed = false;
+    inputIds.forEach(inputId => {
+      const entry = stored.inputs[inputId];
+      if (!entry || entry.signature !== getInputSignature(inputId)) return;
+      if (!valuesEqual(entry.value, getInputValue(inputId))) {
+        setInputValue(inputId, entry.value);
+        changed = true;
+      }
+    });
+    return changed;
+  }
+
+  // Debounce URL/storage writes so dragging a slider creates one history entry
+  let persistTimer;
+  function schedulePersist() {
+    clearTimeout(persistTimer);
+    persistTimer = setTimeout(() => {
+      writeStateToUrl(true);
+      saveStateToStorage();
+    }, 400);
+  }
+
+  // ============================================
+  // OPTION AVAILABILITY (CASCADING INPUTS)
+  // ============================================
+  
+  // Per input: { available: Set of option values, or null when unrestricted }
+  const optionStates = {};
+
+  /**
+   * Get the option elements of a checkbox, radio or button group input,
+   * along with the element to hide and the element holding the label text
+   */
+  function getOptionElements(inputId) {
+    const state = inputState[inputId];
+    const element = document.getElementById(inputId);
+    if (!state || !element) return [];
+    
+    if (state.inputType === 'checkbox' || state.inputType === 'radio') {
+      const type = state.inputType;
+      return Array.from(element.querySelectorAll(`input[type="${type}"]`)).map(input => {
+        const container = input.closest(`.dashboardr-${type}`) || input.parentElement;
+        return {
+          value: input.value,
+          input: input,
+          container: container,
+          labelElement: container.querySelector(`.dashboardr-${type}-text`)
+        };
+      });
+    }
+    if (state.inputType === 'button_group') {
+      return Array.from(element.querySelectorAll('.dashboardr-button-option')).map(btn => ({
+        value: btn.dataset.value,
+        input: btn,
+        container: btn,
+        labelElement: btn
+      }));
+    }
+    if (state.inputType === 'select' && !choicesInstances[inputId]) {
+      return Array.from(element.options).map(opt => ({
+        value: opt.value,
+        input: opt,
+        container: opt,
+        labelElement: opt
+      }));
+    }
+    return [];
+  }
+
+  /**
+   * Label with the option's live count appended, e.g. "Spain (1,204)"
+   */
+  function formatOptionLabel(label, count) {
+    if (count === undefined || count === null) return label;
+    return `${label} (${Math.round(count).toLocaleString()})`;
+  }
+
+  /**
+   * Show only the available options of an input, with live counts when enabled
+   */
+  function renderInputOptions(inputId) {
+    const state = inputState[inputId];
+    const optionState = optionStates[inputId] || {};
+    const available = optionState.available || null;
+    const counts = optionState.counts || null;
+    const isAvailable = value => !available || available.has(value);
+    const countFor = value => counts ? (counts.get(value) || 0) : null;
+    // Zero-count options stay usable while selected so they can be unchecked
+    const isEmpty = value => counts !== null && countFor(value) === 0 &&
+      !state.selected.includes(value);
+    const emptyMode = state.emptyOptions || 'show';
+    
+    const choices = choicesInstances[inputId];
+    if (state.inputType === 'select' && choices) {
+      // Choices.js only keeps selected options in the <select>, so rebuild its choice list
+      const renderKey = JSON.stringify([
+        available ? Array.from(available) : null,
+        counts ? Array.from(counts) : null,
+        state.selected
+      ]);
+      if (optionState.renderKey === renderKey) return;
+      optionState.renderKey = renderKey;
+      
+      choices.removeActiveItems();
+      choices.clearChoices();
+      // Selected options always stay listed so setChoiceByValue can find them
+      choices.setChoices(state.options
+        .filter(opt => state.selected.includes(opt.value) ||
+          (isAvailable(opt.value) && !(emptyMode === 'hide' && isEmpty(opt.value))))
+        .map(opt => ({
+          value: opt.value,
+          label: formatOptionLabel(opt.label, countFor(opt.value)),
+          selected: state.selected.includes(opt.value),
+          disabled: emptyMode === 'disable' && isEmpty(opt.value)
+        })), 'value', 'label', true);
+      return;
+    }
+    
+    getOptionElements(inputId).forEach(option => {
+      const empty = isEmpty(option.value);
+      option.container.hidden = !isAvailable(option.value) || (emptyMode === 'hide' && empty);
+      option.container.classList.toggle('dashboardr-option-unavailable', !isAvailable(option.value));
+      option.container.classList.toggle('dashboardr-option-empty', emptyMode === 'disable' && empty);
+      
+      // Only undo the disabled state we set ourselves
+      if (emptyMode === 'disable' && empty) {
+        if (!option.input.disabled) {
+          option.input.disabled = true;
+          option.input.dataset.dashboardrEmpty = 'true';
+        }
+      } else if (option.input.dataset.dashboardrEmpty) {
+        option.input.disabled = false;
+        delete option.input.dataset.dashboardrEmpty;
+      }
+      
+      if (!option.labelElement || !state.showCounts) return;
+      const count = countFor(option.value);
+      if (option.labelElement.tagName === 'OPTION') {
+        // Native options can't hold markup, so rewrite the text from the original label
+        if (option.labelElement.dataset.label === undefined) {
+          option.labelElement.dataset.label = option.labelElement.textContent;
+        }
+        option.labelElement.textContent = formatOptionLabel(option.labelElement.dataset.label, count);
+        return;
+      }
+      let countElement = option.labelElement.querySelector('.dashboardr-option-count');
+      if (!countElement) {
+        countElement = document.createElement('span');
+        countElement.className = 'dashboardr-option-count';
+        option.labelElement.appendChild(countElement);
+      }
+      countElement.textContent = count === null ? '' : ` (${Math.round(count).toLocaleString()})`;
+    });
+  }
+
+  /**
+   * Rows of every cross-tab dataset that contains all of the given variables
+   */
+  function getCrossTabRows(vars) {
+    const crossTabs = window.dashboardrCrossTab || {};
+    const seen = new Set();
+    const rows = [];
+    Object.keys(crossTabs).forEach(chartId => {
+      const info = crossTabs[chartId];
+      if (!info || !Array.isArray(info.data) || info.data.length === 0 || seen.has(info.data)) return;
+      seen.add(info.data);
+      if (vars.every(v => v in info.data[0])) {
+        rows.push(info.data);
+      }
+    });
+    return rows;
+  }
+
+  /**
+   * Active discrete selections per filter variable (ignoring "All" options)
+   */
+  function getDiscreteSelections() {
+    const selections = {};
+    Object.keys(inputState).forEach(id => {
+      const state = inputState[id];
+      if (!DISCRETE_INPUT_TYPES.includes(state.inputType) || state.periods) return;
+      if (state.selected.length === 0) return;
+      if (state.selected.some(v => ALL_LABELS.includes(String(v).toLowerCase()))) return;
+      selections[state.filterVar] = state.selected.map(v => String(v));
+    });
+    return selections;
+  }
+
+  /**
+   * Narrow dependent inputs (data-depends-on) to the values that exist
+   * alongside the upstream selections, dropping selections that became
+   * invalid (single-choice inputs fall back to their default). Repeats until
+   * stable so chains (country > region > city) settle.
+   * 
+   * @returns {boolean} True if any input's value changed
+   */
+  function updateDependentInputs() {
+    const dependents = Object.keys(inputState).filter(id => inputState[id].dependsOn);
+    if (dependents.length === 0) return false;
+    
+    let changedAny = false;
+    for (let pass = 0; pass <= dependents.length; pass++) {
+      let changed = false;
+      const selections = getDiscreteSelections();
+      
+      dependents.forEach(inputId => {
+        const state = inputState[inputId];
+        const datasets = getCrossTabRows([state.filterVar].concat(state.dependsOn));
+        if (datasets.length === 0) return;
+        
+        const available = new Set();
+        datasets.forEach(rows => {
+          rows.forEach(row => {
+            const matches = state.dependsOn.every(upstream =>
+              !selections[upstream] || selections[upstream].includes(String(row[upstream]))
+            );
+            if (matches) available.add(String(row[state.filterVar]));
+          });
+        });
+        // "All" options stay available
+        getInputOptions(inputId).forEach(value => {
+          if (ALL_LABELS.includes(String(value).toLowerCase())) available.add(value);
+        });
+        
+        optionStates[inputId] = optionStates[inputId] || {};
+        optionStates[inputId].available = available;
+        
+        let valid = state.selected.filter(v => available.has(v));
+        // A single choice that became invalid falls back to its default (e.g. "All")
+        if (valid.length === 0 && state.selected.length > 0 && isSingleChoice(inputId)) {
+          valid = (getDefaultValue(inputId) || []).filter(v => available.has(v));
+        }
+        const invalidated = !valuesEqual(valid, state.selected);
+        if (invalidated) {
+          state.selected = valid;
+          changed = true;
+        }
+        renderInputOptions(inputId);
+        if (invalidated) {
+          setInputValue(inputId, valid);
+        }
+      });
+      
+      if (!changed) break;
+      changedAny = true;
+    }
+    return changedAny;
+  }
+
+  /**
+   * Recompute live option counts (data-show-counts) from the cross-tab n
+   * column under every other active filter, using the cross-tab chart in
+   * the input's reach that covers the most filter variables.
+   */
+  function updateOptionCounts() {
+    if (typeof Highcharts === 'undefined') return;
+    const crossTabs = window.dashboardrCrossTab || {};
+    const charts = Highcharts.charts.filter(c => c && c.options && c.options.chart &&
+      crossTabs[c.options.chart.id]);
+    
+    Object.keys(inputState).forEach(inputId => {
+      const state = inputState[inputId];
+      if (!state.showCounts || !DISCRETE_INPUT_TYPES.includes(state.inputType)) return;
+      const filterVar = state.filterVar;
+      
+      let best = null;
+      charts.forEach(chart => {
+        const info = crossTabs[chart.options.chart.id];
+        if (!info.config || !Array.isArray(info.data) || info.data.length === 0) return;
+        if (!info.config.filterVars.includes(filterVar) || !(filterVar in info.data[0])) return;
+        if (!inputAppliesToChart(inputId, chart)) return;
+        if (!best || info.config.filterVars.length > best.info.config.filterVars.length) {
+          best = { chart: chart, info: info };
+        }
+      });
+      
+      optionStates[inputId] = optionStates[inputId] || {};
+      if (!best) {
+        optionStates[inputId].counts = null;
+        renderInputOptions(inputId);
+        return;
+      }
+      
+      // The input's own selection must not narrow its own counts
+      const collected = collectFilters(best.chart);
+      const { roles } = collected;
+      ['filters', 'sliderFilters', 'brushFilters', 'textFilters', 'numberFilters'].forEach(key => {
+        delete collected[key][filterVar];
+      });
+      const filters = pickCrossTabFilters(collected.filters, roles);
+      const rowFilters = {
+        sliders: pickCrossTabFilters(collected.sliderFilters, roles),
+        brushes: pickCrossTabFilters(collected.brushFilters, roles),
+        numbers: pickCrossTabFilters(collected.numberFilters, roles),
+        texts: pickCrossTabFilters(collected.textFilters, roles)
+      };
+      // Large cross-tabs are counted off the main thread, like their charts
+      if (requestOptionCounts(inputId, best.info, filters, rowFilters)) return;
+      setOptionCounts(inputId, countCrossTabValues(best.info.data, best.info.config.filterVars,
+        filters, rowFilters, filterVar));
+    });
+  }
+
+  /**
+   * Show the counts computed for an input's options
+   */
+  function setOptionCounts(inputId, result) {
+    const counts = result.counts;
+    // "All" options stand for every remaining row
+    getInputOptions(inputId).forEach(value => {
+      if (ALL_LABELS.includes(String(value).toLowerCase())) counts.set(value, result.total);
+    });
+    
+    optionStates[inputId] = optionStates[inputId] || {};
+    optionStates[inputId].counts = counts;
+    renderInputOptions(inputId);
+  }
+
+  // ============================================
+  // UNDO / REDO HISTORY
+  // ============================================
+  
+  const HISTORY_LIMIT = 50;
+  const historyStack = [];  // Snapshots of input values (inputId -> value)
+  let historyIndex = -1;
+  let historyTimer = null;
+
+  // Display options are not filters and stay out of the history
+  function snapshotValues() {
+    const snapshot = {};
+    Object.keys(inputState).forEach(inputId => {
+      if (inputState[inputId].chartOption) return;
+      snapshot[inputId] = getInputValue(inputId);
+    });
+    return snapshot;
+  }
+
+  /**
+   * Make the current values the baseline entry (initial state after init)
+   */
+  function resetHistoryBase() {
+    if (historyIndex < 0) {
+      historyStack.push(snapshotValues());
+      historyIndex = 0;
+    } else {
+      // Later init passes add inputs: merge them into the current entry
+      historyStack[historyIndex] = Object.assign(snapshotValues(), historyStack[historyIndex]);
+    }
+    updateHistoryButtons();
+  }
+
+  function recordHistory() {
+    clearTimeout(historyTimer);
+    historyTimer = null;
+    
+    const snapshot = snapshotValues();
+    if (historyIndex >= 0 && valuesEqual(snapshot, historyStack[historyIndex])) return;
+    
+    // A new change discards the redo branch
+    historyStack.splice(historyIndex + 1);
+    historyStack.push(snapshot);
+    if (historyStack.length > HISTORY_LIMIT) {
+      historyStack.shift();
+    }
+    historyIndex = historyStack.length - 1;
+    updateHistoryButtons();
+  }
+
+  // Debounce so a slider drag becomes a single history entry
+  function scheduleHistoryRecord() {
+    clearTimeout(historyTimer);
+    historyTimer = setTimeout(recordHistory, 400);
+  }
+
+  function restoreSnapshot(snapshot) {
+    Object.keys(snapshot).forEach(inputId => {
+      if (inputState[inputId] && !valuesEqual(snapshot[inputId], getInputValue(inputId))) {
+        setInputValue(inputId, snapshot[inputId]);
+      }
+    });
+    // Chart selections made after the snapshot did not exist yet
+    Object.keys(inputState).forEach(inputId => {
+      if (inputState[inputId].sourceChart && !(inputId in snapshot)) {
+        setInputValue(inputId, getDefaultValue(inputId));
+      }
+    });
+    handleInputChange(null, { history: false });
+    updateHistoryButtons();
+  }
+
+  /**
+   * Step back to the previous filter state
+   * @returns {boolean} False if there is nothing to undo
+   */
+  function undo() {
+    if (historyTimer) recordHistory();
+    if (historyIndex <= 0) return false;
+    historyIndex--;
+    restoreSnapshot(historyStack[historyIndex]);
+    return true;
+  }
+
+  /**
+   * Re-apply the filter state that was last undone
+   * @returns {boolean} False if there is nothing to redo
+   */
+  function redo() {
+    if (historyTimer) recordHistory();
+    if (historyIndex >= historyStack.length - 1) return false;
+    historyIndex++;
+    restoreSnapshot(historyStack[historyIndex]);
+    return true;
+  }
+
+  function updateHistoryButtons() {
+    document.querySelectorAll('.dashboardr-filter-toolbar [data-action="undo"]').forEach(btn => {
+      btn.disabled = historyIndex <= 0;
+    });
+    document.querySelectorAll('.dashboardr-filter-toolbar [data-action="redo"]').forEach(btn => {
+      btn.disabled = historyIndex >= historyStack.length - 1;
+    });
+  }
+
+  // ============================================
+  // SAVED VIEWS
+  // ============================================
+
+  /**
+   * Author-defined presets embedded in the page, e.g.
+   * <div data-filter-presets='[{"name": "Young women", "state": {"gender_cb": ["Female"]}}]'>
+   * An object mapping names to states is accepted as well.
+   */
+  function getPresetViews() {
+    const presets = [];
+    document.querySelectorAll('[data-filter-presets]').forEach(element => {
+      try {
+        const parsed = JSON.parse(element.dataset.filterPresets);
+        const list = Array.isArray(parsed) ? parsed :
+          Object.keys(parsed).map(name => ({ name: name, state: parsed[name] }));
+        list.forEach(view => {
+          if (view && view.name && view.state) {
+            presets.push({ name: String(view.name), state: view.state, preset: true });
+          }
+        });
+      } catch (e) {
+        console.warn('Failed to parse data-filter-presets:', e);
+      }
+    });
+    return presets;
+  }
+
+  function getSavedViews() {
+    try {
+      const stored = JSON.parse(window.localStorage.getItem(viewsStorageKey));
+      return stored && stored.version === STORAGE_VERSION && Array.isArray(stored.views) ?
+        stored.views : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function writeSavedViews(views) {
+    try {
+      window.localStorage.setItem(viewsStorageKey, JSON.stringify({
+        version: STORAGE_VERSION,
+        views: views
+      }));
+    } catch (e) {
+      console.warn('Could not save views:', e);
+    }
+    renderViewOptions();
+  }
+
+  function findView(name) {
+    return getPresetViews().find(v => v.name === name) ||
+           getSavedViews().find(v => v.name === name) || null;
+  }
+
+  /**
+   * Values without chart click selections and brushed ranges, which views
+   * leave out just as the URL and storage do. Views saved before that may
+   * name charts that have no selection yet, so those go by their id.
+   */
+  function withoutChartSelections(values) {
+    const kept = {};
+    Object.keys(values).forEach(inputId => {
+      const state = inputState[inputId];
+      if (state ? !state.sourceChart : !/^(cross_filter|brush)_/.test(inputId)) {
+        kept[inputId] = values[inputId];
+      }
+    });
+    return kept;
+  }
+
+  /**
+   * Full value snapshot a view stands for: its own values, with defaults
+   * for inputs the view does not mention (or that no longer accept them).
+   * Chart selections are left as they are.
+   */
+  function resolveView(view) {
+    const resolved = {};
+    Object.keys(inputState).forEach(inputId => {
+      if (inputState[inputId].sourceChart) return;
+      resolved[inputId] = view.state[inputId] !== undefined ?
+        view.state[inputId] : getDefaultValue(inputId);
+    });
+    return resolved;
+  }
+
+  /**
+   * Apply a saved view or author preset by name
+   * @returns {boolean} False if no view has that name
+   */
+  function applyView(name) {
+    const view = findView(name);
+    if (!view) return false;
+    
+    const resolved = resolveView(view);
+    Object.keys(resolved).forEach(inputId => {
+      if (!valuesEqual(resolved[inputId], getInputValue(inputId))) {
+        setInputValue(inputId, resolved[inputId]);
+      }
+    });
+    handleInputChange();
+    setSelectedView(name);
+    return true;
+  }
+
+  /**
+   * Save the current filter state under a name (replacing a view of the same name)
+   */
+  function saveView(name) {
+    name = String(name || '').trim();
+    if (!name) return false;
+    const views = getSavedViews().filter(v => v.name !== name);
+    views.push({ name: name, state: withoutChartSelections(snapshotValues()) });
+    writeSavedViews(views);
+    setSelectedView(name);
+    return true;
+  }
+
+  function renameView(oldName, newName) {
+    newName = String(newName || '').trim();
+    const views = getSavedViews();
+    const view = views.find(v => v.name === oldName);
+    if (!view || !newName) return false;
+    view.name = newName;
+    writeSavedViews(views.filter(v => v === view || v.name !== newName));
+    setSelectedView(newName);
+    return true;
+  }
+
+  function deleteView(name) {
+    const views = getSavedViews();
+    if (!views.some(v => v.name === name)) return false;
+    writeSavedViews(views.filter(v => v.name !== name));
+    return true;
+  }
+
+  /**
+   * Download the user's saved views as a JSON file
+   */
+  function exportViews() {
+    const payload = {
+      version: STORAGE_VERSION,
+      page: window.location.pathname,
+      views: getSavedViews().map(view => ({ name: view.name, state: withoutChartSelections(view.state) }))
+    };
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    const pageName = window.location.pathname.split('/').pop().replace(/\.html?$/, '') || 'dashboard';
+    link.href = url;
+    link.download = pageName + '-views.json';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Merge views from exported JSON text; views with the same name are replaced
+   * @returns {number} Number of views imported
+   */
+  function importViews(json) {
+    const parsed = typeof json === 'string' ? JSON.parse(json) : json;
+    const incoming = (Array.isArray(parsed) ? parsed : parsed && parsed.views || [])
+      .filter(v => v && v.name && v.state && typeof v.state === 'object')
+      .map(v => ({ name: String(v.name), state: withoutChartSelections(v.state) }));
+    
+    const names = incoming.map(v => v.name);
+    const views = getSavedViews().filter(v => !names.includes(v.name)).concat(incoming);
+    writeSavedViews(views);
+    return incoming.length;
+  }
+
+  // Values as they were when the selected view was applied or saved
+  let selectedViewSnapshot = null;
+
+  function setSelectedView(name) {
+    selectedViewSnapshot = name ? withoutChartSelections(snapshotValues()) : null;
+    document.querySelectorAll('.dashboardr-views-select').forEach(select => {
+      select.value = name || '';
+    });
+    updateViewButtons();
+  }
+
+  function renderViewOptions() {
+    const presets = getPresetViews();
+    const saved = getSavedViews();
+    
+    document.querySelectorAll('.dashboardr-views-select').forEach(select => {
+      const current = select.value;
+      select.innerHTML = '';
+      
+      const placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.textContent = 'Saved views\u2026';
+      select.appendChild(placeholder);
+      
+      [['Presets', presets], ['My views', saved]].forEach(([label, views]) => {
+        if (views.length === 0) return;
+        const group = document.createElement('optgroup');
+        group.label = label;
+        views.forEach(view => {
+          const option = document.createElement('option');
+          option.value = view.name;
+          option.textContent = view.name;
+          group.appendChild(option);
+        });
+        select.appendChild(group);
+      });
+      
+      select.value = findView(current) ? current : '';
+    });
+    updateViewButtons();
+  }
+
+  function updateViewButtons() {
+    const select = document.querySelector('.dashboardr-views-select');
+    if (!select) return;
+    const isSaved = getSavedViews().some(v => v.name === select.value);
+    document.querySelectorAll('.dashboardr-filter-toolbar [data-action="rename-view"], ' +
+                              '.dashboardr-filter-toolbar [data-action="delete-view"]').forEach(btn => {
+      btn.disabled = !isSaved;
+    });
+  }
+
+  /**
+   * Build the saved-views controls for the filter toolbar
+   */
+  function createViewsGroup() {
+    const group = document.createElement('div');
+    group.className = 'dashboardr-toolbar-group dashboardr-views';
+    
+    const select = document.createElement('select');
+    select.className = 'dashboardr-views-select';
+    select.setAttribute('aria-label', 'Saved views');
+    select.addEventListener('change', () => {
+      if (select.value) {
+        applyView(select.value);
+      } else {
+        updateViewButtons();
+      }
+    });
+    
+    const saveButton = createToolbarButton('save-view', 'Save', 'Save current filters as a view');
+    saveButton.addEventListener('click', () => {
+      const name = window.prompt('Name for this view:', select.value || '');
+      if (name) saveView(name);
+    });
+    
+    const renameButton = createToolbarButton('rename-view', 'Rename', 'Rename the selected view');
+    renameButton.addEventListener('click', () => {
+      const name = window.prompt('New name:', select.value);
+      if (name) renameView(select.value, name);
+    });
+    
+    const deleteButton = createToolbarButton('delete-view', 'Delete', 'Delete the selected view');
+    deleteButton.addEventListener('click', () => {
+      if (select.value && window.confirm(`Delete view "${select.value}"?`)) {
+        deleteView(select.value);
+      }
+    });
+    
+    const exportButton = createToolbarButton('export-views', 'Export', 'Download saved views as JSON');
+    exportButton.addEventListener('click', exportViews);
+    
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.hidden = true;
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files && fileInput.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          importViews(reader.result);
+        } catch (e) {
+          console.error('Failed to import views:', e);
+          window.alert('This file does not contain valid saved views.');
+        }
+      };
+      reader.readAsText(file);
+      fileInput.value = '';
+    });
+    
+    const importButton = createToolbarButton('import-views', 'Import', 'Load saved views from a JSON file');
+    importButton.addEventListener('click', () => fileInput.click());
+    
+    [select, saveButton, renameButton, deleteButton, exportButton, importButton, fileInput]
+      .forEach(el => group.appendChild(el));
+    return group;
+  }
+
+  /**
+   * Read data-filter-role and data-filter-targets from an input element.
+   * Without a role, filters fall back to matching values against series
+   * names and categories.
+   */
+  function readFilterTargeting(element) {
+    let role = element.dataset.filterRole || null;
+    if (role && !FILTER_ROLES.includes(role)) {
+      console.warn(`Input ${element.id} has unknown data-filter-role "${role}"`);
+      role = null;
+    }
+    
+    const targets = element.dataset.filterTargets ?
+      element.dataset.filterTargets.split(',').map(t => t.trim()).filter(t => t) : null;
+    
+    return { role: role, targets: targets };
+  }
+
+  /**
+   * Find the container an input's filters are scoped to: the nearest
+   * [data-filter-scope] element or .panel-tabset, or null for the whole page
+   */
+  function findFilterScope(element) {
+    const scope = element.closest('[data-filter-scope], .panel-tabset');
+    if (!scope || scope.dataset.filterScope === 'page') return null;
+    return scope;
+  }
+
+  /**
+   * Check whether an input filters a chart. Explicit data-filter-targets
+   * win; otherwise the chart must sit inside the input's scope.
+   */
+  function inputAppliesToChart(inputId, chart) {
+    const sourceChart = inputState[inputId].sourceChart;
+    if (sourceChart) {
+      // Click selections filter every chart except the one clicked
+      return !chart.options || !chart.options.chart || chart.options.chart.id !== sourceChart;
+    }
+    const targets = inputState[inputId].targets;
+    if (targets && targets.length > 0) {
+      return chartMatchesTargets(chart, targets);
+    }
+    const scope = inputScopes[inputId];
+    return !scope || (chart.renderTo && scope.contains(chart.renderTo));
+  }
+
+  /**
+   * Check whether a chart matches an input's data-filter-targets.
+   * Each target is a chart id or a CSS selector matching the chart
+   * container or one of its ancestors.
+   */
+  function chartMatchesTargets(chart, targets) {
+    if (!targets || targets.length === 0) return true;
+    
+    const chartId = chart.options && chart.options.chart && chart.options.chart.id;
+    const container = chart.renderTo;
+    return targets.some(target => {
+      if (target === chartId || (container && target === container.id)) return true;
+      if (!container) return false;
+      try {
+        return container.closest(target) !== null;
+      } catch (e) {
+        // Not a valid selector, and not a chart id either
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Parse data-periods: a JSON map of period label to {from, to}.
+   * Either bound may be omitted for an open-ended period; null (or an
+   * empty object) means the label does not filter at all.
+   */
+  function readPeriodPresets(element) {
+    let parsed;
+    try {
+      parsed = JSON.parse(element.dataset.periods);
+    } catch (e) {
+      console.warn(`Failed to parse data-periods for ${element.id}:`, e);
+      return null;
+    }
+    
+    const periods = {};
+    Object.keys(parsed || {}).forEach(label => {
+      const bounds = parsed[label] || {};
+      const from = bounds.from !== undefined && bounds.from !== null ? parseFloat(bounds.from) : null;
+      const to = bounds.to !== undefined && bounds.to !== null ? parseFloat(bounds.to) : null;
+      periods[label] = {
+        from: isNaN(from) ? null : from,
+        to: isNaN(to) ? null : to
+      };
+    });
+    return periods;
+  }
+
+  /**
+   * Resolve a selected period label to a {from, to} range, or null for no filtering.
+   * Inputs without data-periods keep the legacy COVID-era presets.
+   */
+  function resolvePeriodRange(label, periods) {
+    if (!label) return null;
+    
+    if (periods) {
+      const range = periods[label];
+      return range && (range.from !== null || range.to !== null) ? range : null;
+    }
+    
+    if (label.includes('All')) return null;
+    if (label.includes('Pre-COVID') || label.includes('2015-2019')) {
+      return { from: 2015, to: 2019 };
+    }
+    if (label.includes('Post-COVID') || label.includes('2020')) {
+      return { from: 2020, to: null };
+    }
+    return null;
+  }
+
+  function inSliderRange(value, sliderInfo) {
+    return value >= sliderInfo.from && (sliderInfo.to === null || value <= sliderInfo.to);
+  }
+
+  /**
+   * Slider position of an x value: the value itself, or its index in the
+   * slider's labels (x values missing from the labels always pass)
+   */
+  function sliderPosition(value, sliderInfo) {
+    if (!sliderInfo.labels || sliderInfo.labels.length === 0) return value;
+    const idx = sliderInfo.labels.findIndex(label => String(label) === String(value));
+    return idx < 0 ? sliderInfo.from : sliderInfo.min + idx * (sliderInfo.step || 1);
+  }
+
+  function inPeriodRange(value, range) {
+    return (range.from === null || value >= range.from) &&
+           (range.to === null || value <= range.to);
+  }
+
+  /**
+   * Get the x value of a series data point given as object, [x, y] array or bare y
+   */
+  function getPointX(point) {
+    if (point === null || typeof point !== 'object') return null;
+    const x = Array.isArray(point) ? point[0] : point.x;
+    return typeof x === 'number' ? x : null;
+  }
+
+  const roleConflicts = new Set();  // filterVars already warned about
+
+  /**
+   * Collect active filters from the inputs that apply to a chart. Inputs on
+   * the same variable share one role: the first declared one wins.
+   */
+  function collectFilters(chart) {
+    const collected = {
+      inputIds: [],
+      filters: {},
+      sliderFilters: {},
+      brushFilters: {},   // filterVar -> slider-shaped ranges dragged on charts
+      switchFilters: {},
+      textFilters: {},
+      numberFilters: {},
+      periodFilters: {},  // filterVar -> {from, to} for period presets
+      roles: {}           // filterVar -> declared role (null = use heuristics)
+    };
+    
+    Object.keys(inputState).forEach(id => {
+      const state = inputState[id];
+      if (!inputAppliesToChart(id, chart)) return;
+      
+      if (state.inputType === 'cross_filter') {
+        // A click overrides any input on the same variable; no-op when cleared
+        if (state.selected.length === 0) return;
+        collected.inputIds.push(id);
+        collected.filters[state.filterVar] = state.selected;
+        if (!(state.filterVar in collected.roles)) {
+          collected.roles[state.filterVar] = null;
+        }
+        return;
+      }
+      
+      if (state.inputType === 'brush') {
+        // A brushed range works like a range slider over the chart's x values,
+        // kept apart so it narrows (not replaces) a slider on the same variable.
+        // Brushes on several charts all apply; each has its chart's own labels.
+        if (state.value === null) return;
+        collected.inputIds.push(id);
+        (collected.brushFilters[state.filterVar] = collected.brushFilters[state.filterVar] || []).push({
+          from: state.value[0],
+          to: state.value[1],
+          min: state.min,
+          max: null,
+          step: state.step,
+          labels: state.labels
+        });
+        if (!(state.filterVar in collected.roles)) {
+          collected.roles[state.filterVar] = null;
+        }
+        return;
+      }
+      
+      collected.inputIds.push(id);
+      // Chart display options change how a chart looks, never its data
+      if (state.chartOption) return;
+      const declared = collected.roles[state.filterVar];
+      if (state.role && declared && declared !== state.role) {
+        if (!roleConflicts.has(state.filterVar)) {
+          roleConflicts.add(state.filterVar);
+          console.warn(`Inputs on ${state.filterVar} declare roles "${declared}" and "${state.role}"; using "${declared}"`);
+        }
+      } else if (state.role || !(state.filterVar in collected.roles)) {
+        collected.roles[state.filterVar] = state.role || null;
+      }
+      
+      if (state.inputType === 'slider' || state.inputType === 'range_slider') {
+        // Single sliders keep everything from their value upwards
+        const isRange = state.inputType === 'range_slider';
+        collected.sliderFilters[state.filterVar] = {
+          from: isRange ? state.value[0] : state.value,
+          to: isRange ? state.value[1] : null,
+          min: state.min,
+          max: state.max,
+          step: state.step || 1,
+          labels: state.labels
+        };
+      } else if (state.inputType === 'switch') {
+        collected.switchFilters[state.filterVar] = state.value;
+      } else if (state.inputType === 'text') {
+        const matcher = createTextMatcher(state.value, state.matchMode);
+        if (matcher) {
+          // Keep the query so the aggregation worker can rebuild the matcher
+          matcher.query = { text: state.value, mode: state.matchMode };
+          collected.textFilters[state.filterVar] = matcher;
+        }
+      } else if (state.inputType === 'number') {
+        const numberFilter = getNumberFilter(state);
+        if (numberFilter) {
+          collected.numberFilters[state.filterVar] = numberFilter;
+        }
+      } else if (state.periods || state.filterVar === 'period') {
+        // Handle period presets (maps to year ranges)
+        const range = resolvePeriodRange(state.selected[0], state.periods);
+        if (range) {
+          collected.periodFilters[state.filterVar] = range;
+        }
+      } else {
+        // Select, checkbox, radio, button_group all use selected array
+        collected.filters[state.filterVar] = state.selected;
+      }
+    });
+    
+    return collected;
+  }
+
+  /**
+   * Decide whether a filter applies to a chart dimension ('series' or 'category').
+   * A declared role is authoritative; otherwise fall back to checking whether
+   * any selected value appears among the dimension's values.
+   */
+  function filterAppliesTo(dimension, role, selectedValues, dimensionValues) {
+    if (role) return role === dimension;
+    return selectedValues.some(v => dimensionValues.includes(v)) ||
+           dimensionValues.some(d => selectedValues.includes(d));
+  }
+
+  // ============================================
+  // CROSS-FILTERING (CLICK TO FILTER)
+  // ============================================
+  
+  let crossFilterInitialized = false;
+
+  /**
+   * The cross-tab variable and value behind a clicked point: the category
+   * maps to config.xVar, or the series name to config.stackVar when the
+   * cross-tab config has crossFilter: 'stack'. crossFilter: false opts out.
+   */
+  function getCrossFilterTarget(point) {
+    const chart = point.series && point.series.chart;
+    const chartId = chart && chart.options.chart && chart.options.chart.id;
+    const info = chartId && window.dashboardrCrossTab && window.dashboardrCrossTab[chartId];
+    if (!info || !info.config || info.config.crossFilter === false) return null;
+    
+    if (info.config.crossFilter === 'stack') {
+      return info.config.stackVar ?
+        { chartId, filterVar: info.config.stackVar, value: String(point.series.name) } : null;
+    }
+    const value = point.category !== undefined && point.category !== null ? point.category : point.name;
+    return info.config.xVar && value !== undefined && value !== null ?
+      { chartId, filterVar: info.config.xVar, value: String(value) } : null;
+  }
+
+  /**
+   * Set a chart's click selection and mark the matching points as selected
+   */
+  function setCrossFilter(inputId, values) {
+    const state = inputState[inputId];
+    state.selected = values;
+    
+    const chart = Highcharts.charts.find(c => c && c.options.chart && c.options.chart.id === state.sourceChart);
+    if (!chart) return;
+    chart.series.forEach(series => series.data.forEach(point => {
+      if (!point) return;
+      const target = getCrossFilterTarget(point);
+      const selected = target !== null && values.includes(target.value);
+      if (point.selected !== selected) point.select(selected, true);
+    }));
+  }
+
+  /**
+   * Point click handler: filter every other chart by the clicked value,
+   * or clear the selection when the same value is clicked again. Only the
+   * latest click on a variable applies; other charts' selections on it clear.
+   */
+  function handleCrossFilterClick() {
+    const target = getCrossFilterTarget(this);
+    if (!target) return;
+    
+    const inputId = `cross_filter_${target.chartId}`;
+    if (!inputState[inputId]) {
+      inputState[inputId] = {
+        filterVar: target.filterVar,
+        inputType: 'cross_filter',
+        selected: [],
+        sourceChart: target.chartId,
+        label: `Clicked ${target.filterVar}`
+      };
+      defaultValues[inputId] = { selected: [] };
+    }
+    
+    const selected = inputState[inputId].selected;
+    const values = selected.length === 1 && selected[0] === target.value ? [] : [target.value];
+    setCrossFilter(inputId, values);
+    
+    // A click replaces the selection another chart made on the same variable
+    const replaced = values.length === 0 ? [] : Object.keys(inputState).filter(id =>
+      id !== inputId && inputState[id].inputType === 'cross_filter' &&
+      inputState[id].filterVar === target.filterVar && inputState[id].selected.length > 0
+    );
+    replaced.forEach(id => setCrossFilter(id, []));
+    stageInputChange(replaced.length === 0 ? inputId : null);
+  }
+
+  function initCrossFilter() {
+    if (crossFilterInitialized || typeof Highcharts === 'undefined') return;
+    crossFilterInitialized = true;
+    
+    Highcharts.addEvent(Highcharts.Point, 'click', handleCrossFilterClick);
+    Object.keys(window.dashboardrCrossTab || {}).forEach(chartId => {
+      const info = window.dashboardrCrossTab[chartId];
+      const chart = Highcharts.charts.find(c => c && c.options.chart && c.options.chart.id === chartId);
+      if (chart && chart.renderTo && info.config && info.config.crossFilter !== false) {
+        chart.renderTo.classList.add('dashboardr-cross-filter-chart');
+      }
+    });
+  }
+
+  // ============================================
+  // RANGE BRUSHING (DRAG TO FILTER)
+  // ============================================
+
+  const BRUSH_BAND_ID = 'dashboardr-brush';
+
+  /**
+   * Brush settings for a chart from window.dashboardrBrush[chartId], which may
+   * be true, a variable name or { filterVar, label, step }. The variable
+   * defaults to the cross-tab config.xVar, then window.dashboardrTimeVar.
+   */
+  function getBrushConfig(chartId) {
+    const setting = window.dashboardrBrush && window.dashboardrBrush[chartId];
+    if (!setting) return null;
+
+    const config = typeof setting === 'object' ? setting : {};
+    const crossTab = window.dashboardrCrossTab && window.dashboardrCrossTab[chartId];
+    const filterVar = typeof setting === 'string' ? setting :
+      config.filterVar || (crossTab && crossTab.config && crossTab.config.xVar) || window.dashboardrTimeVar;
+    if (!filterVar) {
+      console.warn(`Brushing on ${chartId} needs a filterVar`);
+      return null;
+    }
+    return { filterVar, label: config.label, step: config.step || 1 };
+  }
+
+  /**
+   * Set a chart's brushed range ([from, to], or null to clear it) and draw
+   * it as a plot band. Category axes store positions in state.labels.
+   */
+  function setBrush(inputId, value) {
+    const state = inputState[inputId];
+    state.value = Array.isArray(value) && value.length === 2 ? value.map(v => Number(v)) : null;
+
+    const chart = Highcharts.charts.find(c => c && c.options.chart && c.options.chart.id === state.sourceChart);
+    if (!chart || !chart.xAxis || !chart.xAxis[0]) return;
+    const axis = chart.xAxis[0];
+    axis.removePlotBand(BRUSH_BAND_ID);
+    if (!state.value) return;
+
+    let from = state.value[0];
+    let to = state.value[1];
+    if (state.labels) {
+      // Other filters may have removed categories from the source chart
+      const positions = (axis.categories || [])
+        .map((category, idx) => ({ idx, position: state.labels.indexOf(String(category)) }))
+        .filter(c => c.position >= from && c.position <= to)
+        .map(c => c.idx);
+      if (positions.length === 0) return;
+      from = Math.min(...positions) - 0.5;
+      to = Math.max(...positions) + 0.5;
+    }
+    axis.addPlotBand({
+      id: BRUSH_BAND_ID,
+      from: from,
+      to: to,
+      color: 'rgba(59, 130, 246, 0.15)',
+      className: 'dashboardr-brush-band'
+    });
+  }
+
+  /**
+   * Selection handler: turn the dragged x range into a filter on every
+   * other chart instead of zooming
+   */
+  function handleBrushSelection(e) {
+    const chart = this;
+    const chartId = chart.options.chart && chart.options.chart.id;
+    const config = getBrushConfig(chartId);
+    // resetSelection comes from the "Reset zoom" button, which we never show
+    if (!config || e.resetSelection || !e.xAxis || !e.xAxis[0]) return;
+    e.preventDefault();
+
+    const inputId = `brush_${chartId}`;
+    const categories = chart._originalCategories || chart.xAxis[0].categories;
+    if (!inputState[inputId]) {
+      inputState[inputId] = {
+        filterVar: config.filterVar,
+        inputType: 'brush',
+        value: null,
+        labels: categories ? categories.map(c => String(c)) : null,
+        min: 0,
+        step: categories ? 1 : config.step,
+        sourceChart: chartId,
+        label: config.label || `Brushed ${config.filterVar}`
+      };
+      defaultValues[inputId] = { value: null };
+    }
+    const state = inputState[inputId];
+
+    // Snap inward to whole steps; a short drag selects the nearest one
+    const step = categories ? 1 : state.step;
+    const min = e.xAxis[0].min;
+    const max = e.xAxis[0].max;
+    let from = Math.ceil(min / step) * step;
+    let to = Math.floor(max / step) * step;
+    if (from > to) {
+      from = to = Math.round((min + max) / 2 / step) * step;
+    }
+
+    if (categories) {
+      // Map positions on the (possibly filtered) axis back to the original categories
+      const current = chart.xAxis[0].categories || [];
+      const positions = current
+        .slice(Math.max(0, from), Math.min(current.length - 1, to) + 1)
+        .map(category => state.labels.indexOf(String(category)))
+        .filter(position => position >= 0);
+      if (positions.length === 0) return;
+      from = Math.min(...positions);
+      to = Math.max(...positions);
+    }
+
+    setBrush(inputId, [from, to]);
+    stageInputChange(inputId);
+  }
+
+  /**
+   * Plot area click handler: clear the chart's brushed range
+   */
+  function handleBrushClick() {
+    const inputId = `brush_${this.options.chart && this.options.chart.id}`;
+    if (!inputState[inputId] || inputState[inputId].value === null) return;
+    setBrush(inputId, null);
+    stageInputChange(inputId);
+  }
+
+  function initBrushing() {
+    Object.keys(window.dashboardrBrush || {}).forEach(chartId => {
+      const chart = Highcharts.charts.find(c => c && c.options.chart && c.options.chart.id === chartId);
+      if (!chart || chart._dashboardrBrush) return;
+      // Set before the config check so a misconfigured chart warns only once
+      chart._dashboardrBrush = true;
+      if (!getBrushConfig(chartId)) return;
+
+      chart.update({ chart: { zoomType: 'x' } }, false);
+      Highcharts.addEvent(chart, 'selection', handleBrushSelection);
+      Highcharts.addEvent(chart, 'click', handleBrushClick);
+      if (chart.renderTo) {
+        chart.renderTo.classList.add('dashboardr-brush-chart');
+      }
+    });
+  }
+
+  /**
+   * Clear every chart click selection and brushed range
+   * @returns {boolean} False if there was nothing to clear
+   */
+  function clearChartSelections() {
+    const active = Object.keys(inputState).filter(inputId =>
+      inputState[inputId].sourceChart &&
+      !valuesEqual(getInputValue(inputId), getDefaultValue(inputId))
+    );
+    if (active.length === 0) return false;
+    active.forEach(inputId => setInputValue(inputId, getDefaultValue(inputId)));
+    stageInputChange(active.length === 1 ? active[0] : null);
+    return true;
+  }
+
+  /**
+   * Store original series data for later restoration
+   */
+  function storeOriginalData() {
+    if (typeof Highcharts === 'undefined') return;
+    
+    Highcharts.charts.filter(c => c).forEach(chart => {
+      if (!chart || !chart.series) return;
+      
+      chart.series.forEach(series => {
+        if (!originalSeriesData.has(series)) {
+          // Deep clone the data
+          const data = series.options.data ? 
+            JSON.parse(JSON.stringify(series.options.data)) : [];
+          originalSeriesData.set(series, {
+            data: data,
+            name: series.name
+          });
+        }
+      });
+    });
+  }
+
+  // ============================================
+  // LAZY FILTERING OF HIDDEN CHARTS
+  // ============================================
+  
+  // Charts skipped by the last filter pass because they were not visible
+  const dirtyCharts = new Set();
+  // Chart container -> whether it is near the viewport (unset until observed)
+  const onScreen = new WeakMap();
+  const observedContainers = new WeakSet();
+  
+  const visibilityObserver = typeof IntersectionObserver === 'undefined' ? null :
+    new IntersectionObserver(entries => {
+      entries.forEach(entry => onScreen.set(entry.target, entry.isIntersecting));
+      catchUpDirtyCharts();
+    }, { rootMargin: '200px' });
+
+  function observeChart(chart) {
+    const container = chart.renderTo;
+    if (!visibilityObserver || !container || observedContainers.has(container)) return;
+    observedContainers.add(container);
+    visibilityObserver.observe(container);
+  }
+
+  /**
+   * A chart is visible unless it sits in an inactive tab pane, a hidden
+   * element, or has been reported off-screen by the IntersectionObserver
+   */
+  function isChartVisible(chart) {
+    const container = chart.renderTo;
+    if (!container || !container.isConnected) return false;
+    if (container.closest('.tab-pane:not(.active), [hidden]')) return false;
+    return onScreen.get(container) !== false;
+  }
+
+  /**
+   * Filter the skipped charts that have become visible since the last pass
+   */
+  function catchUpDirtyCharts() {
+    const started = performance.now();
+    let filtered = 0;
+    let redrawn = 0;
+    dirtyCharts.forEach(chart => {
+      if (!Highcharts.charts.includes(chart)) {
+        dirtyCharts.delete(chart);
+        return;
+      }
+      if (!isChartVisible(chart)) return;
+      dirtyCharts.delete(chart);
+      if (filterChart(chart)) redrawn++;
+      filtered++;
+    });
+    if (filtered > 0) {
+      completeFilterPass({ started: started, filtered: filtered, redrawn: redrawn }, true);
+    }
+  }
+
+  // tab-scroll-fix.js and Bootstrap dispatch this once a tab pane is active
+  document.addEventListener('shown.bs.tab', event => {
+    if (dirtyCharts.size === 0) return;
+    const tab = event.target;
+    let pane = null;
+    try {
+      pane = document.querySelector(tab.getAttribute('data-bs-target') || tab.getAttribute('href'));
+    } catch (e) {
+      // Not a selector; the IntersectionObserver will catch up instead
+    }
+    // The observer has not yet seen the pane's charts come into view
+    if (pane) {
+      dirtyCharts.forEach(chart => {
+        if (chart.renderTo && pane.contains(chart.renderTo)) onScreen.delete(chart.renderTo);
+      });
+    }
+    catchUpDirtyCharts();
+  });
+
+  // ============================================
+  // METRIC SWITCHING
+  // ============================================
+
+  /**
+   * Metric switching settings for a chart. window.dashboardrMetricConfig[chartId]
+   * may set data (a dataset name in window.dashboardrMetricData, or the rows),
+   * filterVar, seriesKey, timeVar, metricKey/valueKey (the row fields holding
+   * the metric name and its value) and title/subtitle/yAxisTitle templates
+   * ("{metric}" is replaced; anything but a string leaves the text alone).
+   * Without a config object on the page, every chart uses the legacy
+   * country-level settings.
+   */
+  function getMetricConfig(chartId) {
+    const configs = window.dashboardrMetricConfig;
+    const config = configs ? configs[chartId] : {};
+    if (!config) return null;
+    
+    const datasets = window.dashboardrMetricData;
+    const data = Array.isArray(config.data) ? config.data :
+      config.data ? datasets && datasets[config.data] :
+      Array.isArray(datasets) ? datasets : null;
+    if (!Array.isArray(data) || data.length === 0) return null;
+    
+    const seriesKey = config.seriesKey || 'country';
+    // Detect time variable - use configured value or auto-detect
+    const timeVar = config.timeVar || window.dashboardrTimeVar ||
+                    ['year', 'decade', 'time', 'date'].find(key => data[0][key] !== undefined) || null;
+    const pick = (key, fallback) => config[key] === undefined ? fallback : config[key];
+    
+    return {
+      data,
+      filterVar: config.filterVar || 'metric',
+      seriesKey,
+      timeVar,
+      metricKey: config.metricKey || 'metric',
+      valueKey: config.valueKey || 'value',
+      title: pick('title', `{metric} by ${seriesKey.charAt(0).toUpperCase()}${seriesKey.slice(1)}`),
+      subtitle: pick('subtitle', 'Trends over time'),
+      yAxisTitle: pick('yAxisTitle', '{metric}')
+    };
+  }
+
+  /**
+   * Rebuild a chart's series from its metric dataset when the selected
+   * metric changed; each series takes the rows whose seriesKey matches its name
+   * @returns {boolean} True if the chart changed
+   */
+  function switchMetric(chart, filters, originalCategories) {
+    const config = getMetricConfig(chart.options.chart && chart.options.chart.id);
+    if (!config || !filters[config.filterVar]) return false;
+    
+    const selectedMetric = filters[config.filterVar][0];
+    // The series' original data already holds the metric applied last time
+    if (!selectedMetric || chart._appliedMetric === selectedMetric) return false;
+    
+    const { data, seriesKey, timeVar, metricKey, valueKey } = config;
+    // Use chart's x-axis categories if available, otherwise extract from data
+    const timeValues = originalCategories ||
+      (timeVar ? [...new Set(data.map(d => d[timeVar]))].sort() : []);
+    
+    chart.series.forEach(series => {
+      const seriesRows = data.filter(d =>
+        String(d[seriesKey]) === String(series.name) && d[metricKey] === selectedMetric
+      );
+      if (seriesRows.length === 0) return;
       
-      // Get new categories list
-      const newCategories = visibleCategoryIndices.map(idx => originalCategories[idx]);
+      const newData = timeValues.map(timeVal => {
+        const point = timeVar ? seriesRows.find(d => String(d[timeVar]) === String(timeVal)) : null;
+        return point ? point[valueKey] : null;
+      });
+      series.setData(newData, false);
       
-      // Handle special switch filters (legend toggle)
-      Object.keys(inputState).forEach(id => {
-        const state = inputState[id];
-        if (state.inputType !== 'switch') return;
-        
-        if (state.filterVar === 'show_legend') {
-          chart.legend.update({ enabled: state.value }, false);
-        }
+      // Update the original data store for this series
+      originalSeriesData.set(series, {
+        data: JSON.parse(JSON.stringify(newData)),
+        name: series.name
+      });
+    });
+    
+    // Update chart titles dynamically based on selected metric
+    const fill = template => typeof template === 'string' ?
+      { text: template.split('{metric}').join(selectedMetric) } : undefined;
+    chart.setTitle(fill(config.title), fill(config.subtitle), false);
+    if (typeof config.yAxisTitle === 'string') {
+      chart.yAxis[0].setTitle(fill(config.yAxisTitle), false);
+    }
+    
+    chart._appliedMetric = selectedMetric;
+    return true;
+  }
+
+  // ============================================
+  // CHART TYPE SWITCHING
+  // ============================================
+
+  // Types offered by chart_type inputs and the per-chart toolbar
+  // (type null: stacked on the chart's own column, bar or area type)
+  const CHART_TYPES = {
+    column: { label: 'Column', type: 'column', stacking: null },
+    bar: { label: 'Bar', type: 'bar', stacking: null },
+    line: { label: 'Line', type: 'line', stacking: null },
+    spline: { label: 'Spline', type: 'spline', stacking: null },
+    area: { label: 'Area', type: 'area', stacking: null },
+    pie: { label: 'Pie', type: 'pie', stacking: null },
+    stacked: { label: 'Stacked', type: null, stacking: 'normal' },
+    percent: { label: 'Percent', type: null, stacking: 'percent' }
+  };
+  const STACKABLE_TYPES = ['column', 'bar', 'area'];
+
+  let chartTypesInitialized = false;
+  const unknownChartTypes = new Set();  // chart_type values already warned about
+
+  /**
+   * The type a chart was rendered with, recorded before the first switch
+   */
+  function getOriginalChartType(chart) {
+    if (!chart._originalChartType) {
+      const series = chart.series[0];
+      const type = (series && series.type) || chart.options.chart.type || 'line';
+      const stacking = (series && series.options.stacking) || null;
+      chart._originalChartType = {
+        key: stacking === 'percent' ? 'percent' : stacking ? 'stacked' : (CHART_TYPES[type] ? type : null),
+        type: type,
+        stacking: stacking,
+        axesVisible: chart.axes.map(axis => axis.options.visible !== false)
+      };
+    }
+    return chart._originalChartType;
+  }
+
+  /**
+   * The type a chart should show: its toolbar choice, else the chart_type
+   * input's value (unknown values leave the chart as rendered).
+   * window.dashboardrChartTypes[chartId] = false opts out.
+   */
+  function getChartTypeChoice(chart, filters) {
+    const chartId = chart.options.chart && chart.options.chart.id;
+    if (window.dashboardrChartTypes && window.dashboardrChartTypes[chartId] === false) return null;
+    if (chart._chosenChartType) return chart._chosenChartType;
+    
+    const selected = filters.chart_type && filters.chart_type[0];
+    if (!selected) return null;
+    // Inputs use labels like "Line" or "Column"
+    const key = String(selected).toLowerCase();
+    if (!CHART_TYPES[key]) {
+      if (!unknownChartTypes.has(key)) {
+        unknownChartTypes.add(key);
+        console.warn(`Unknown chart_type "${selected}"; charts keep their rendered type`);
+      }
+      return null;
+    }
+    // The rendered type keeps its own stacking, as chart_type inputs always did
+    return CHART_TYPES[key].type === getOriginalChartType(chart).type ? null : key;
+  }
+
+  /**
+   * Switch every series of a chart to a CHART_TYPES key (null restores the
+   * rendered type), setting stacking and hiding the axes for pies.
+   * Pies need a single series; other charts show their rendered type.
+   * @returns {boolean} True if the chart changed (not redrawn)
+   */
+  function applyChartType(chart, key) {
+    if (key === 'pie' && chart.series.length !== 1) key = null;
+    const original = getOriginalChartType(chart);
+    const target = key === original.key ? null : key;
+    if (target === (chart._appliedChartType || null)) {
+      // The series count may have changed whether Pie can apply
+      updateChartTypeToolbar(chart);
+      return false;
+    }
+    
+    const spec = target ? CHART_TYPES[target] : { type: original.type, stacking: original.stacking };
+    const type = spec.type || (STACKABLE_TYPES.includes(original.type) ? original.type : 'column');
+    
+    chart.update({ chart: { type: type } }, false);
+    chart.series.forEach(series => {
+      if (series.type !== type || (series.options.stacking || null) !== spec.stacking) {
+        series.update({ type: type, stacking: spec.stacking }, false);
+      }
+    });
+    chart.axes.forEach((axis, idx) => {
+      const visible = type !== 'pie' && original.axesVisible[idx] !== false;
+      if (axis.visible !== visible) axis.update({ visible: visible }, false);
+    });
+    
+    chart._appliedChartType = target;
+    updateChartTypeToolbar(chart);
+    return true;
+  }
+
+  /**
+   * Name pie slices after the x-axis categories they replace
+   */
+  function nameSlicesFromCategories() {
+    const chart = this.chart;
+    if (this.type !== 'pie' || !chart._appliedChartType || !chart.xAxis[0]) return;
+    const categories = chart.xAxis[0].categories;
+    if (!categories) return;
+    this.points.forEach(point => {
+      if (point && !point.options.name && categories[point.x] !== undefined) {
+        point.name = String(categories[point.x]);
+      }
+    });
+  }
+
+  function updateChartTypeToolbar(chart) {
+    const toolbar = chart._chartTypeToolbar;
+    if (!toolbar) return;
+    const active = chart._appliedChartType || getOriginalChartType(chart).key;
+    toolbar.querySelectorAll('[data-chart-type]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.chartType === active));
+      if (button.dataset.chartType === 'pie') {
+        button.disabled = chart.series.length !== 1;
+        button.title = button.disabled ? 'Pie charts need a single series' : '';
+      }
+    });
+  }
+
+  /**
+   * Toolbar above a chart listed in window.dashboardrChartTypes (true for
+   * every type, or an array of CHART_TYPES keys)
+   */
+  function createChartTypeToolbar(chart, types) {
+    const keys = (Array.isArray(types) ? types : Object.keys(CHART_TYPES))
+      .filter(key => CHART_TYPES[key]);
+    if (keys.length === 0 || !chart.renderTo || !chart.renderTo.parentNode) return;
+    
+    const toolbar = document.createElement('div');
+    toolbar.className = 'dashboardr-chart-type-toolbar';
+    toolbar.setAttribute('role', 'toolbar');
+    toolbar.setAttribute('aria-label', 'Chart type');
+    keys.forEach(key => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'dashboardr-toolbar-button';
+      button.dataset.chartType = key;
+      button.textContent = CHART_TYPES[key].label;
+      button.addEventListener('click', () => {
+        // Kept on the chart so later filter passes and chart_type inputs leave it alone
+        chart._chosenChartType = key;
+        if (applyChartType(chart, key)) chart.redraw();
+      });
+      toolbar.appendChild(button);
+    });
+    
+    chart.renderTo.parentNode.insertBefore(toolbar, chart.renderTo);
+    chart._chartTypeToolbar = toolbar;
+    updateChartTypeToolbar(chart);
+  }
+
+  function initChartTypes() {
+    if (typeof Highcharts === 'undefined') return;
+    if (!chartTypesInitialized) {
+      chartTypesInitialized = true;
+      Highcharts.addEvent(Highcharts.Series, 'afterGeneratePoints', nameSlicesFromCategories);
+    }
+    Object.keys(window.dashboardrChartTypes || {}).forEach(chartId => {
+      const types = window.dashboardrChartTypes[chartId];
+      const chart = Highcharts.charts.find(c => c && c.options.chart && c.options.chart.id === chartId);
+      if (!types || !chart || chart._chartTypeToolbar) return;
+      createChartTypeToolbar(chart, types);
+    });
+  }
+
+  // ============================================
+  // CHART DISPLAY OPTIONS
+  // ============================================
+
+  // Options inputs can drive through data-chart-option: read() gets a chart's
+  // current value (undefined when it does not apply), apply() sets it
+  const CHART_OPTIONS = {
+    legend: {
+      read: chart => chart.legend.options.enabled !== false,
+      apply: (chart, on) => chart.legend.update({ enabled: on }, false)
+    },
+    dataLabels: {
+      read: chart => chart.series.length > 0 ?
+        chart.series.some(series => series.options.dataLabels && series.options.dataLabels.enabled === true) : undefined,
+      apply: (chart, on) => chart.series.forEach(series => series.update({ dataLabels: { enabled: on } }, false))
+    },
+    logY: {
+      read: chart => chart.yAxis[0] ? chart.yAxis[0].options.type === 'logarithmic' : undefined,
+      apply: (chart, on) => chart.yAxis[0].update({ type: on ? 'logarithmic' : 'linear' }, false)
+    },
+    reversedStacks: {
+      read: chart => chart.yAxis[0] ? chart.yAxis[0].options.reversedStacks !== false : undefined,
+      apply: (chart, on) => chart.yAxis[0].update({ reversedStacks: on }, false)
+    },
+    gridlines: {
+      read: chart => chart.yAxis[0] ? (chart.yAxis[0].options.gridLineWidth || 0) > 0 : undefined,
+      apply: (chart, on) => chart.yAxis[0].update({ gridLineWidth: on ? 1 : 0 }, false)
+    },
+    tooltip: {
+      read: chart => chart.options.tooltip.split ? 'split' : chart.options.tooltip.shared ? 'shared' : 'single',
+      apply: (chart, mode) => chart.update({ tooltip: { shared: mode === 'shared', split: mode === 'split' } }, false)
+    },
+    inverted: {
+      // The option rather than chart.inverted, which bar charts force on and
+      // so changes with every switch to or from a bar type
+      read: chart => chart.xAxis[0] ? chart.options.chart.inverted === true : undefined,
+      apply: (chart, on) => chart.update({ chart: { inverted: on } }, false)
+    }
+  };
+
+  /**
+   * The value an input asks for: a switch's state, or a radio/button/select
+   * option such as "on", "off", "log", "linear", "shared" or "split".
+   * Anything else (e.g. "Default") leaves the chart as rendered.
+   */
+  function getChartOptionValue(state) {
+    if (state.inputType === 'switch') {
+      return state.chartOption === 'tooltip' ? (state.value ? 'shared' : 'single') : state.value;
+    }
+    const value = String(state.selected[0] || '').trim().toLowerCase();
+    if (state.chartOption === 'tooltip') {
+      return ['single', 'shared', 'split'].includes(value) ? value : null;
+    }
+    if (['true', 'on', 'yes', 'show', '1', 'log', 'logarithmic'].includes(value)) return true;
+    if (['false', 'off', 'no', 'hide', '0', 'linear'].includes(value)) return false;
+    return null;
+  }
+
+  /**
+   * Apply the display options of the inputs targeting a chart through
+   * Highcharts updates, restoring the rendered value when no input sets one
+   * @returns {boolean} True if the chart changed (not redrawn)
+   */
+  function applyChartOptions(chart, inputIds) {
+    const wanted = {};
+    inputIds.forEach(id => {
+      const state = inputState[id];
+      if (state.chartOption) wanted[state.chartOption] = getChartOptionValue(state);
+    });
+    
+    // Option name -> { original, value } for every option touched so far
+    const applied = chart._chartOptions || (chart._chartOptions = {});
+    let changed = false;
+    Object.keys(wanted).concat(Object.keys(applied)).forEach(name => {
+      if (!applied[name]) {
+        const current = CHART_OPTIONS[name].read(chart);
+        if (current === undefined) return;
+        applied[name] = { original: current, value: current };
+      }
+      const target = wanted[name] !== undefined && wanted[name] !== null ? wanted[name] : applied[name].original;
+      if (target === applied[name].value) return;
+      
+      CHART_OPTIONS[name].apply(chart, target);
+      applied[name].value = target;
+      changed = true;
+    });
+    return changed;
+  }
+
+  /**
+   * Filter a single chart with the inputs that apply to it, touching only the
+   * series and axes whose result differs from what the chart already shows
+   * 
+   * @returns {boolean} True if the chart changed and was redrawn
+   */
+  function filterChart(chart) {
+    // Collect the filters that target this chart
+    const {
+      inputIds, filters, sliderFilters, brushFilters, textFilters, numberFilters, periodFilters, roles
+    } = collectFilters(chart);
+    
+    // Chart type (toolbar choice or a chart_type input) and display options
+    // apply to every kind of chart
+    const typeChanged = applyChartType(chart, getChartTypeChoice(chart, filters));
+    const displayChanged = applyChartOptions(chart, inputIds) || typeChanged;
+    
+    // Check if this chart has cross-tab data for client-side filtering
+    const chartId = chart.options && chart.options.chart && chart.options.chart.id;
+    if (chartId && window.dashboardrCrossTab && window.dashboardrCrossTab[chartId]) {
+      const crossTabInfo = window.dashboardrCrossTab[chartId];
+      const crossTabFilters = pickCrossTabFilters(filters, roles);
+      const rowFilters = {
+        sliders: pickCrossTabFilters(sliderFilters, roles),
+        brushes: pickCrossTabFilters(brushFilters, roles),
+        numbers: pickCrossTabFilters(numberFilters, roles),
+        texts: pickCrossTabFilters(textFilters, roles)
+      };
+      if (requestCrossTabAggregation(chart, crossTabInfo, crossTabFilters, rowFilters)) {
+        // Redrawn when the worker posts the result back
+        if (displayChanged) chart.redraw();
+        return displayChanged;
+      }
+      const result = rebuildFromCrossTab(chart, crossTabInfo, crossTabFilters, rowFilters);
+      if (result !== null) {
+        // Chart was rebuilt from cross-tab, skip normal filtering
+        if (displayChanged && !result) chart.redraw();
+        return result || displayChanged;
+      }
+    }
+    
+    // Store original categories if not already stored
+    if (!chart._originalCategories && chart.xAxis && chart.xAxis[0] && chart.xAxis[0].categories) {
+      chart._originalCategories = chart.xAxis[0].categories.slice();
+    }
+    
+    // Get original x-axis categories
+    const originalCategories = chart._originalCategories || 
+      (chart.xAxis && chart.xAxis[0] && chart.xAxis[0].categories ? chart.xAxis[0].categories : null);
+    
+    // Also check for numeric x-axis (no categories, but has point.x values).
+    // When a filter emptied the series, check its original first point instead.
+    const firstSeries = chart.series[0];
+    const firstPoint = firstSeries && firstSeries.data && firstSeries.data[0];
+    const firstOriginal = firstSeries && originalSeriesData.get(firstSeries);
+    const hasNumericXAxis = !originalCategories && (firstPoint ?
+      typeof firstPoint.x === 'number' :
+      !!firstOriginal && firstOriginal.data.length > 0 && getPointX(firstOriginal.data[0]) !== null);
+    
+    // Number inputs hold any numeric variable (e.g. age), so they only narrow
+    // the axis when it shows their variable or they declare the category role
+    const xVar = getChartXVar(chart);
+    const filtersXAxis = filterVar => roles[filterVar] === 'category' || (!roles[filterVar] && filterVar === xVar);
+    
+    // Determine which filters apply to series names vs categories
+    const seriesNames = chart.series.map(s => s.name);
+    
+    // Convert categories to strings for comparison (they might be numbers)
+    const categoryStrings = originalCategories ? originalCategories.map(c => String(c)) : [];
+    
+    // Calculate which categories should be visible
+    let visibleCategoryIndices = originalCategories ? originalCategories.map((_, i) => i) : [];
+    
+    if (originalCategories) {
+      // Apply period preset filters first (converts to year ranges)
+      Object.keys(periodFilters).forEach(filterVar => {
+        if (roles[filterVar] && roles[filterVar] !== 'category') return;
+        const range = periodFilters[filterVar];
+        visibleCategoryIndices = visibleCategoryIndices.filter(idx => {
+          const catNum = parseFloat(originalCategories[idx]);
+          if (isNaN(catNum)) return true;
+          return inPeriodRange(catNum, range);
+        });
       });
       
-      // Handle chart type changes
+      // Apply discrete category filters to determine visible categories
       Object.keys(filters).forEach(filterVar => {
-        if (filterVar === 'chart_type') {
-          const chartType = filters[filterVar][0];
-          if (chartType) {
-            const typeMap = {
-              'Line': 'line',
-              'Area': 'area', 
-              'Column': 'column'
-            };
-            const hcType = typeMap[chartType] || 'line';
-            chart.series.forEach(series => {
-              series.update({ type: hcType }, false);
+        const selectedValues = filters[filterVar];
+        if (selectedValues && selectedValues.length > 0) {
+          const selectedStrings = selectedValues.map(v => String(v));
+          const isCategoryFilter = filterAppliesTo('category', roles[filterVar],
+                                                   selectedStrings, categoryStrings);
+          
+          if (isCategoryFilter) {
+            visibleCategoryIndices = visibleCategoryIndices.filter(idx => {
+              const category = String(originalCategories[idx]);
+              return selectedStrings.includes(category);
             });
           }
         }
       });
       
-      // Handle metric switching FIRST - rebuild series data from embedded data
-      // This must happen before other filtering to set up the base data
-      let metricSwitched = false;
-      if (filters['metric'] && window.dashboardrMetricData) {
-        const selectedMetric = filters['metric'][0];
-        if (selectedMetric) {
-          const allData = window.dashboardrMetricData;
-          
-          // Detect time variable - use configured value or auto-detect
-          const timeVar = window.dashboardrTimeVar || 
-                          (allData[0].year !== undefined ? 'year' : 
-                          allData[0].decade !== undefined ? 'decade' : 
-                          allData[0].time !== undefined ? 'time' : 
-                          allData[0].date !== undefined ? 'date' : null);
-          
-          // Use chart's x-axis categories if available, otherwise extract from data
-          const timeValues = originalCategories || 
-            (timeVar ? [...new Set(allData.map(d => d[timeVar]))].sort() : []);
+      // Apply slider filters and brushed ranges to determine visible categories
+      const rangeFilters = Object.keys(sliderFilters).map(filterVar => [filterVar, sliderFilters[filterVar]]);
+      Object.keys(brushFilters).forEach(filterVar => {
+        brushFilters[filterVar].forEach(range => rangeFilters.push([filterVar, range]));
+      });
+      rangeFilters.forEach(([filterVar, sliderInfo]) => {
+        if (roles[filterVar] && roles[filterVar] !== 'category') return;
+        
+        // If slider has labels, use label-based filtering
+        if (sliderInfo.labels && sliderInfo.labels.length > 0) {
+          // Find the labels at the slider positions in the original categories
+          const findCategory = value => {
+            const label = sliderLabel(value, sliderInfo.min, sliderInfo.step, sliderInfo.labels);
+            return originalCategories.findIndex(cat => String(cat) === label);
+          };
+          const startCategoryIdx = findCategory(sliderInfo.from);
+          const endCategoryIdx = sliderInfo.to !== null ? findCategory(sliderInfo.to) : -1;
           
-          chart.series.forEach(series => {
-            const countryName = series.name;
-            const countryData = allData.filter(d => 
-              d.country === countryName && d.metric === selectedMetric
-            );
-            
-            if (countryData.length > 0) {
-              const newData = timeValues.map(timeVal => {
-                const point = countryData.find(d => 
-                  timeVar ? d[timeVar] === timeVal : false
-                );
-                return point ? point.value : null;
-              });
-              series.setData(newData, false);
-              
-              // Update the original data store for this series
-              originalSeriesData.set(series, {
-                data: JSON.parse(JSON.stringify(newData)),
-                name: series.name
-              });
+          // Keep only categories between the matched labels (inclusive)
+          visibleCategoryIndices = visibleCategoryIndices.filter(idx =>
+            (startCategoryIdx < 0 || idx >= startCategoryIdx) &&
+            (endCategoryIdx < 0 || idx <= endCategoryIdx)
+          );
+        } else {
+          // Fallback: try numeric comparison
+          visibleCategoryIndices = visibleCategoryIndices.filter(idx => {
+            const catNum = parseFloat(originalCategories[idx]);
+            if (!isNaN(catNum)) {
+              return inSliderRange(catNum, sliderInfo);
             }
+            return true;
           });
-          
-          // Update chart title dynamically based on selected metric
-          chart.setTitle(
-            { text: selectedMetric + ' by Country' }, 
-            { text: 'Trends over time' }, 
-            false
-          );
-          chart.yAxis[0].setTitle({ text: selectedMetric }, false);
-          
-          metricSwitched = true;
         }
-      }
+      });
       
-      // Build sets for switch-controlled series
-      const switchHiddenSeries = new Set();  // Series to HIDE (switch is OFF)
-      const switchShownSeries = new Set();   // Series to SHOW with override (switch is ON + override=true)
-      Object.keys(inputState).forEach(id => {
-        const state = inputState[id];
-        if (state.inputType === 'switch' && state.toggleSeries) {
-          if (!state.value) {
-            // Switch is OFF - hide this series
-            switchHiddenSeries.add(state.toggleSeries);
-          } else if (state.override) {
-            // Switch is ON + override=true - show this series regardless of other filters
-            switchShownSeries.add(state.toggleSeries);
-          }
+      // Apply text search to categories (e.g. long region lists)
+      Object.keys(textFilters).forEach(filterVar => {
+        const matches = textFilters[filterVar];
+        const role = roles[filterVar];
+        if (role && role !== 'category') return;
+        if (role === 'category' || categoryStrings.some(c => matches(c))) {
+          visibleCategoryIndices = visibleCategoryIndices.filter(idx => matches(categoryStrings[idx]));
         }
       });
       
-      chart.series.forEach(series => {
-        const seriesName = series.name;
-        const original = originalSeriesData.get(series);
-        
-        // Check if hidden by switch toggle (switch OFF)
-        if (switchHiddenSeries.has(seriesName)) {
-          series.setVisible(false, false);
-          series.update({ showInLegend: false }, false);
-          return;
+      // Apply number input filters to numeric categories
+      Object.keys(numberFilters).forEach(filterVar => {
+        if (!filtersXAxis(filterVar)) return;
+        const numberFilter = numberFilters[filterVar];
+        visibleCategoryIndices = visibleCategoryIndices.filter(idx => {
+          const catNum = parseFloat(originalCategories[idx]);
+          return isNaN(catNum) || matchesNumberFilter(catNum, numberFilter);
+        });
+      });
+    }
+    
+    // Get new categories list
+    const newCategories = visibleCategoryIndices.map(idx => originalCategories[idx]);
+    let changed = displayChanged;
+    
+    // Handle metric switching FIRST - rebuild series data from embedded data
+    // This must happen before other filtering to set up the base data
+    changed = switchMetric(chart, filters, originalCategories) || changed;
+    
+    // Build sets for switch-controlled series
+    const switchHiddenSeries = new Set();  // Series to HIDE (switch is OFF)
+    const switchShownSeries = new Set();   // Series to SHOW with override (switch is ON + override=true)
+    inputIds.forEach(id => {
+      const state = inputState[id];
+      if (state.inputType === 'switch' && state.toggleSeries) {
+        if (!state.value) {
+          // Switch is OFF - hide this series
+          switchHiddenSeries.add(state.toggleSeries);
+        } else if (state.override) {
+          // Switch is ON + override=true - show this series regardless of other filters
+          switchShownSeries.add(state.toggleSeries);
         }
+      }
+    });
+    
+    chart.series.forEach(series => {
+      const seriesName = series.name;
+      const original = originalSeriesData.get(series);
+      
+      // Check if hidden by switch toggle (switch OFF)
+      if (switchHiddenSeries.has(seriesName)) {
+        changed = setSeriesVisibility(series, false) || changed;
+        return;
+      }
+      
+      // Check if shown by switch with override (switch ON + override=true)
+      if (switchShownSeries.has(seriesName)) {
+        changed = setSeriesVisibility(series, true) || changed;
+        // Continue to filter data points, but series stays visible
+      } else {
+        // Check series-level visibility (e.g., country filter from selectize/checkbox)
+        let showSeries = true;
         
-        // Check if shown by switch with override (switch ON + override=true)
-        if (switchShownSeries.has(seriesName)) {
-          series.setVisible(true, false);
-          series.update({ showInLegend: true }, false);
-          // Continue to filter data points, but series stays visible
-        } else {
-          // Check series-level visibility (e.g., country filter from selectize/checkbox)
-          let showSeries = true;
-          
-          // Apply text search filter to series names
-          Object.keys(textFilters).forEach(filterVar => {
-            const searchText = textFilters[filterVar];
+        // Apply text search filter to series names
+        Object.keys(textFilters).forEach(filterVar => {
+          const matches = textFilters[filterVar];
+          const role = roles[filterVar];
+          if (role && role !== 'series') return;
+          // Check if this filter applies to series names
+          if (role === 'series' || seriesNames.some(n => matches(n))) {
+            if (!matches(seriesName)) {
+              showSeries = false;
+            }
+          }
+        });
+        
+        Object.keys(filters).forEach(filterVar => {
+          const selectedValues = filters[filterVar];
+          if (selectedValues && selectedValues.length > 0) {
             // Check if this filter applies to series names
-            if (seriesNames.some(n => n.toLowerCase().includes(searchText))) {
-              if (!seriesName.toLowerCase().includes(searchText)) {
+            const isSeriesFilter = filterAppliesTo('series', roles[filterVar],
+                                                   selectedValues, seriesNames);
+            if (isSeriesFilter) {
+              if (!selectedValues.includes(seriesName)) {
                 showSeries = false;
               }
             }
-          });
-          
-          Object.keys(filters).forEach(filterVar => {
-            const selectedValues = filters[filterVar];
-            if (selectedValues && selectedValues.length > 0) {
-              // Check if this filter applies to series names
-              const isSeriesFilter = selectedValues.some(v => seriesNames.includes(v)) || 
-                                     seriesNames.some(n => selectedValues.includes(n));
-              if (isSeriesFilter) {
-                if (!selectedValues.includes(seriesName)) {
-                  showSeries = false;
-                }
-              }
-            }
-          });
-          
-          // If series should be hidden entirely
-          if (!showSeries) {
-            series.setVisible(false, false);
-            series.update({ showInLegend: false }, false);
-            return;
           }
-          
-          // Series should be visible - show in legend too
-          series.setVisible(true, false);
-          series.update({ showInLegend: true }, false);
-        }
+        });
         
-        // Filter data to only include visible categories
-        if (original && originalCategories) {
-          const filteredData = visibleCategoryIndices.map(idx => {
-            const point = original.data[idx];
-            return point !== undefined ? JSON.parse(JSON.stringify(point)) : null;
-          });
-          
-          series.setData(filteredData, false, false, false);
-        } else if (original && hasNumericXAxis) {
-          // Handle charts with numeric x-axis (no categories)
-          let filteredData = JSON.parse(JSON.stringify(original.data));
-          Object.keys(sliderFilters).forEach(filterVar => {
-            const sliderInfo = sliderFilters[filterVar];
-            filteredData = filteredData.filter(point => {
-              if (point === null) return false;
-              const xVal = typeof point === 'object' ? point.x : null;
-              if (xVal !== null && xVal < sliderInfo.value) {
-                return false;
-              }
-              return true;
-            });
-          });
-          series.setData(filteredData, false, false, false);
+        // If series should be hidden entirely
+        if (!showSeries) {
+          changed = setSeriesVisibility(series, false) || changed;
+          return;
         }
-      });
-      
-      // Update x-axis categories to only show visible ones
-      if (originalCategories && newCategories.length > 0) {
-        chart.xAxis[0].setCategories(newCategories, false);
+        
+        // Series should be visible - show in legend too
+        changed = setSeriesVisibility(series, true) || changed;
       }
       
+      // Filter data to only include visible categories
+      if (original && originalCategories) {
+        changed = setSeriesPoints(series, original, visibleCategoryIndices) || changed;
+      } else if (original && hasNumericXAxis) {
+        // Handle charts with numeric x-axis (no categories)
+        const applicable = map => Object.keys(map)
+          .filter(filterVar => !roles[filterVar] || roles[filterVar] === 'category')
+          .map(filterVar => map[filterVar]);
+        const ranges = applicable(periodFilters);
+        const sliders = applicable(sliderFilters).concat(...applicable(brushFilters));
+        const numbers = Object.keys(numberFilters).filter(filtersXAxis).map(filterVar => numberFilters[filterVar]);
+        const hasXFilters = ranges.length + sliders.length + numbers.length > 0;
+        
+        const keptIndices = original.data.map((_, idx) => idx).filter(idx => {
+          const point = original.data[idx];
+          if (point === null) return !hasXFilters;
+          const xVal = getPointX(point);
+          return xVal === null || (
+            ranges.every(range => inPeriodRange(xVal, range)) &&
+            sliders.every(sliderInfo => inSliderRange(sliderPosition(xVal, sliderInfo), sliderInfo)) &&
+            numbers.every(numberFilter => matchesNumberFilter(xVal, numberFilter))
+          );
+        });
+        changed = setSeriesPoints(series, original, keptIndices) || changed;
+      }
+    });
+    
+    // Update x-axis categories to only show visible ones (none when every
+    // category was filtered out)
+    if (originalCategories && !valuesEqual(chart.xAxis[0].categories, newCategories)) {
+      chart.xAxis[0].setCategories(newCategories, false);
+      changed = true;
+    }
+    
+    if (changed) {
       chart.redraw();
+    }
+    return changed;
+  }
+
+  /**
+   * The variable on a chart's x-axis, when the page names one: its brush
+   * filterVar, its cross-tab config.xVar, else window.dashboardrTimeVar
+   */
+  function getChartXVar(chart) {
+    const chartId = chart.options.chart && chart.options.chart.id;
+    const brush = window.dashboardrBrush && window.dashboardrBrush[chartId];
+    const crossTab = window.dashboardrCrossTab && window.dashboardrCrossTab[chartId];
+    return (typeof brush === 'string' ? brush : brush && brush.filterVar) ||
+      (crossTab && crossTab.config && crossTab.config.xVar) || window.dashboardrTimeVar || null;
+  }
+
+  /**
+   * Show or hide a series (and its legend entry) unless it already is
+   * @returns {boolean} True if anything changed
+   */
+  function setSeriesVisibility(series, visible) {
+    let changed = false;
+    if (series.visible !== visible) {
+      series.setVisible(visible, false);
+      changed = true;
+    }
+    if (series.options.showInLegend !== visible) {
+      series.update({ showInLegend: visible }, false);
+      changed = true;
+    }
+    return changed;
+  }
+
+  /**
+   * Record the data a series is about to show, identified by its source
+   * object and a key. Returns false when the series already shows exactly
+   * that data, so the caller can skip setData.
+   */
+  function markSeriesData(series, source, key) {
+    const applied = appliedSeriesData.get(series);
+    if (applied && applied.source === source && applied.key === key) return false;
+    appliedSeriesData.set(series, { source: source, key: key });
+    return true;
+  }
+
+  /**
+   * Show the given points of a series' original data, if not shown already
+   * @returns {boolean} True if the series data changed
+   */
+  function setSeriesPoints(series, original, indices) {
+    if (!markSeriesData(series, original, indices.join(','))) return false;
+    const data = indices.map(idx => {
+      const point = original.data[idx];
+      return point !== undefined ? JSON.parse(JSON.stringify(point)) : null;
+    });
+    series.setData(data, false, false, false);
+    return true;
+  }
+
+  /**
+   * Apply all filters together
+   */
+  function applyAllFilters() {
+    if (typeof Highcharts === 'undefined') {
+      return setTimeout(applyAllFilters, 200);
+    }
+
+    const charts = Highcharts.charts.filter(c => c);
+    if (!charts || charts.length === 0) {
+      return setTimeout(applyAllFilters, 200);
+    }
+
+    const started = performance.now();
+    let filtered = 0;
+    let redrawn = 0;
+    charts.forEach(chart => {
+      if (!chart || !chart.series) return;
+      observeChart(chart);
+      
+      // Hidden and off-screen charts catch up once they become visible
+      if (!isChartVisible(chart)) {
+        dirtyCharts.add(chart);
+        return;
+      }
+      dirtyCharts.delete(chart);
+      if (filterChart(chart)) redrawn++;
+      filtered++;
+    });
+    
+    completeFilterPass({ started: started, filtered: filtered, redrawn: redrawn }, false);
+  }
+
+  /**
+   * Finish a filter pass now, or once the worker has answered every job
+   * still pending. A catch-up pass joins a pass that is still waiting; a new
+   * full pass supersedes it, so only the latest state is announced.
+   */
+  function completeFilterPass(pass, catchUp) {
+    if (catchUp && waitingPass) {
+      waitingPass.filtered += pass.filtered;
+      waitingPass.redrawn += pass.redrawn;
+    } else {
+      waitingPass = pass;
+    }
+    settleFilterPass();
+  }
+
+  function settleFilterPass() {
+    if (!waitingPass || pendingJobs.size > 0) return;
+    const pass = waitingPass;
+    waitingPass = null;
+    finishFilterPass(pass);
+  }
+
+  /**
+   * Work that follows every filter pass, including the late passes of charts
+   * that were hidden: re-mark chart selections, refresh option counts and
+   * announce the pass
+   */
+  function finishFilterPass(pass) {
+    // Rebuilt series lose their selection state, so re-mark clicked points;
+    // brush bands follow the categories left on the source chart
+    Object.keys(inputState).forEach(inputId => {
+      if (inputState[inputId].inputType === 'cross_filter') {
+        setCrossFilter(inputId, inputState[inputId].selected);
+      } else if (inputState[inputId].inputType === 'brush') {
+        setBrush(inputId, inputState[inputId].value);
+      }
     });
+    
+    updateOptionCounts();
+    
+    document.dispatchEvent(new CustomEvent('dashboardr:filtersapplied', {
+      detail: {
+        state: cloneInputState(),
+        charts: pass.filtered,
+        redrawn: pass.redrawn,
+        skipped: dirtyCharts.size,
+        duration: performance.now() - pass.started
+      }
+    }));
   }
 
   function reapplyFilters() {
     applyAllFilters();
   }
 
+  /**
+   * Get the current value of any input
+   * 
+   * @param {string} inputId - Input element id
+   * @returns {Array|boolean|number|string|undefined} Array of selected values for
+   *   select/checkbox/radio/button_group, boolean for switches, number for
+   *   sliders and number inputs, string for text inputs
+   */
+  function getValue(inputId) {
+    const value = getInputValue(inputId);
+    return Array.isArray(value) ? value.slice() : value;
+  }
+
+  /**
+   * Set the value of any input, updating the DOM, Choices.js and inputState
+   * 
+   * @param {string} inputId - Input element id
+   * @param {Array|boolean|number|string} value - Same shape as getValue() returns;
+   *   a single value is accepted for select/checkbox/radio/button_group
+   * @param {Object} [options]
+   * @param {boolean} [options.apply=true] - Set to false to batch several
+   *   setValue() calls and re-apply once via applyFilters()
+   * @returns {boolean} False if the input does not exist
+   */
+  function setValue(inputId, value, options) {
+    if (!inputState[inputId]) {
+      console.warn(`setValue: unknown input ${inputId}`);
+      return false;
+    }
+    setInputValue(inputId, value);
+    handleInputChange(inputId, options);
+    return true;
+  }
+
   function selectAll(inputId) {
     const input = document.getElementById(inputId);
     if (!input) return;
@@ -937,116 +3604,213 @@
                     targetsAttr.split(',').map(t => t.trim());
     
     targets.forEach(inputId => {
-      const defaults = defaultValues[inputId];
-      const state = inputState[inputId];
-      if (!defaults || !state) return;
-      
-      const element = document.getElementById(inputId);
-      if (!element) return;
-      
-      if (state.inputType === 'select') {
-        // Reset select to default values
-        if (choicesInstances[inputId]) {
-          choicesInstances[inputId].removeActiveItems();
-          if (defaults.selected && defaults.selected.length > 0) {
-            choicesInstances[inputId].setChoiceByValue(defaults.selected);
-          }
-        } else if (element.tagName === 'SELECT') {
-          Array.from(element.options).forEach(opt => {
-            opt.selected = defaults.selected.includes(opt.value);
-          });
-        }
-        inputState[inputId].selected = defaults.selected.slice();
-      } else if (state.inputType === 'checkbox') {
-        const checkboxes = element.querySelectorAll('input[type="checkbox"]');
-        checkboxes.forEach(cb => {
-          cb.checked = defaults.selected.includes(cb.value);
-        });
-        inputState[inputId].selected = defaults.selected.slice();
-      } else if (state.inputType === 'radio') {
-        const radios = element.querySelectorAll('input[type="radio"]');
-        radios.forEach(radio => {
-          radio.checked = defaults.selected.includes(radio.value);
-        });
-        inputState[inputId].selected = defaults.selected.slice();
-      } else if (state.inputType === 'switch') {
-        element.checked = defaults.value;
-        inputState[inputId].value = defaults.value;
-        inputState[inputId].selected = defaults.value ? ['true'] : ['false'];
-      } else if (state.inputType === 'slider') {
-        element.value = defaults.value;
-        inputState[inputId].value = defaults.value;
-        inputState[inputId].selected = [String(defaults.value)];
-        updateSliderTrack(element);
-        updateSliderDisplay(inputId, element, state.labels, defaults.value, state.min, state.step);
-      } else if (state.inputType === 'text' || state.inputType === 'number') {
-        element.value = defaults.value;
-        inputState[inputId].value = defaults.value;
-        inputState[inputId].selected = [String(defaults.value)];
-      } else if (state.inputType === 'button_group') {
-        const buttons = element.querySelectorAll('.dashboardr-button-option');
-        buttons.forEach(btn => {
-          btn.classList.toggle('active', defaults.selected.includes(btn.dataset.value));
-        });
-        inputState[inputId].selected = defaults.selected.slice();
-      }
+      if (!defaultValues[inputId] || !inputState[inputId]) return;
+      setInputValue(inputId, getDefaultValue(inputId));
     });
     
-    applyAllFilters();
+    handleInputChange();
+  }
+
+  // ============================================
+  // INDEXED CROSS-TAB STORE
+  // ============================================
+  
+  // Indexes are shared by every chart embedding the same rows
+  const crossTabIndexes = new WeakMap();     // data array -> index
+  const crossTabIndexesByShape = new Map();  // "rows|columns" -> indexes of that shape
+
+  function sameCrossTabRows(a, b) {
+    for (let i = 0; i < a.length; i++) {
+      for (const key in a[i]) {
+        if (a[i][key] !== b[i][key]) return false;
+      }
+    }
+    return true;
   }
 
   /**
-   * Rebuild chart from cross-tab data based on current filters
-   * This enables true client-side data filtering by re-aggregating from pre-computed cross-tab
-   * 
-   * @param {Highcharts.Chart} chart - The chart to update
-   * @param {Object} crossTabInfo - Object with data array and config
-   * @param {Object} filters - Current filter selections (filterVar -> selected values)
-   * @returns {boolean} True if chart was rebuilt, false if cross-tab doesn't apply
+   * Get the index of a cross-tab dataset: per variable, a map from value
+   * (as string) to the sorted row numbers holding it. Variables are indexed
+   * on first use. Separately embedded copies of the same rows share one index.
    */
-  function rebuildFromCrossTab(chart, crossTabInfo, filters) {
-    if (!crossTabInfo || !crossTabInfo.data || !crossTabInfo.config) {
-      return false;
-    }
-    
-    const { data, config } = crossTabInfo;
-    const { xVar, stackVar, filterVars, stackedType, stackOrder, xOrder } = config;
+  function getCrossTabIndex(data) {
+    let index = crossTabIndexes.get(data);
+    if (index) return index;
     
-    // Check if any of our filter_vars have active filters
-    let hasActiveFilter = false;
-    for (const fv of filterVars) {
-      if (filters[fv] && filters[fv].length > 0) {
-        hasActiveFilter = true;
-        break;
-      }
+    const shape = data.length + '|' + (data.length > 0 ? Object.keys(data[0]).join(',') : '');
+    const candidates = crossTabIndexesByShape.get(shape) || [];
+    index = candidates.find(candidate => sameCrossTabRows(candidate.data, data));
+    if (!index) {
+      index = { data: data, vars: new Map() };
+      candidates.push(index);
+      crossTabIndexesByShape.set(shape, candidates);
     }
+    crossTabIndexes.set(data, index);
+    return index;
+  }
+
+  function getValueIndex(index, filterVar) {
+    let values = index.vars.get(filterVar);
+    if (values) return values;
     
-    // If no active filters, we can skip (let original chart show)
-    // But we still need to show full data, so always rebuild
-    
-    // Step 1: Filter the cross-tab data based on filter selections
-    let filteredData = data.slice();
-    
-    // Common "All" labels that mean "don't filter" (case-insensitive)
-    const allLabels = ['all', 'alle', 'tous', 'todo', 'tutti', 'すべて', '全部'];
+    const rowLists = new Map();
+    index.data.forEach((row, rowIdx) => {
+      const key = String(row[filterVar]);
+      let rows = rowLists.get(key);
+      if (!rows) {
+        rows = [];
+        rowLists.set(key, rows);
+      }
+      rows.push(rowIdx);
+    });
+    values = new Map();
+    rowLists.forEach((rows, key) => values.set(key, Uint32Array.from(rows)));
+    index.vars.set(filterVar, values);
+    return values;
+  }
+
+  /**
+   * Keep the cross-tab rows that pass the discrete, slider, number and text
+   * filters on the given filter variables. Each filter is evaluated once per
+   * distinct value of its variable; the matching row lists are then intersected.
+   */
+  function filterCrossTabRows(data, filterVars, filters, rowFilters) {
+    const { sliders = {}, brushes = {}, numbers = {}, texts = {} } = rowFilters || {};
+    const constraints = [];  // per constrained variable: predicates on the value string
     
     for (const filterVar of filterVars) {
+      const tests = [];
       const selectedValues = filters[filterVar];
       if (selectedValues && selectedValues.length > 0) {
         // Check if any selected value is an "All" option - if so, skip this filter
         const hasAllOption = selectedValues.some(v => 
-          allLabels.includes(String(v).toLowerCase())
+          ALL_LABELS.includes(String(v).toLowerCase())
         );
         if (hasAllOption) {
           continue; // Don't filter on this variable
         }
-        
-        filteredData = filteredData.filter(row => {
-          const rowValue = String(row[filterVar]);
-          return selectedValues.includes(rowValue);
+        const selected = new Set(selectedValues.map(v => String(v)));
+        tests.push(value => selected.has(value));
+      }
+      
+      // Slider and brushed ranges: numeric values, or positions in the range's labels
+      [sliders[filterVar]].concat(brushes[filterVar] || []).forEach(sliderInfo => {
+        if (!sliderInfo) return;
+        const labels = sliderInfo.labels && sliderInfo.labels.length > 0 ?
+          sliderInfo.labels.map(l => String(l)) : null;
+        tests.push(value => {
+          let position = parseFloat(value);
+          if (labels) {
+            const idx = labels.indexOf(value);
+            if (idx < 0) return true;
+            position = sliderInfo.min + idx * (sliderInfo.step || 1);
+          }
+          return isNaN(position) || inSliderRange(position, sliderInfo);
+        });
+      });
+      
+      const numberFilter = numbers[filterVar];
+      if (numberFilter) {
+        tests.push(value => {
+          const rowNum = parseFloat(value);
+          return isNaN(rowNum) || matchesNumberFilter(rowNum, numberFilter);
         });
       }
+      
+      const textMatcher = texts[filterVar];
+      if (textMatcher) {
+        tests.push(value => textMatcher(value));
+      }
+      
+      if (tests.length > 0) {
+        constraints.push({ filterVar, tests });
+      }
+    }
+    
+    if (constraints.length === 0) return data.slice();
+    
+    // Count, per row, the constrained variables whose value passed
+    const index = getCrossTabIndex(data);
+    const hits = new Uint8Array(data.length);
+    constraints.forEach(({ filterVar, tests }) => {
+      getValueIndex(index, filterVar).forEach((rows, value) => {
+        if (!tests.every(test => test(value))) return;
+        for (let i = 0; i < rows.length; i++) hits[rows[i]]++;
+      });
+    });
+    
+    const filteredData = [];
+    for (let rowIdx = 0; rowIdx < data.length; rowIdx++) {
+      if (hits[rowIdx] === constraints.length) filteredData.push(data[rowIdx]);
+    }
+    return filteredData;
+  }
+
+  /**
+   * Keep the filters meant for cross-tab dimensions (no role, or role crosstab);
+   * series/category-only filters never touch cross-tab dimensions
+   */
+  function pickCrossTabFilters(map, roles) {
+    const picked = {};
+    Object.keys(map).forEach(filterVar => {
+      if (!roles[filterVar] || roles[filterVar] === 'crosstab') {
+        picked[filterVar] = map[filterVar];
+      }
+    });
+    return picked;
+  }
+
+  /**
+   * Rebuild chart from cross-tab data based on current filters
+   * This enables true client-side data filtering by re-aggregating from pre-computed cross-tab
+   * 
+   * @param {Highcharts.Chart} chart - The chart to update
+   * @param {Object} crossTabInfo - Object with data array and config
+   * @param {Object} filters - Current filter selections (filterVar -> selected values)
+   * @param {Object} [rowFilters] - Non-discrete filters, each keyed by filterVar:
+   *   sliders ({from, to, min, step, labels}), brushes (lists of those),
+   *   numbers ({operator, value | from, to})
+   *   and texts (predicate functions)
+   * @returns {boolean|null} Whether the chart changed, or null if cross-tab doesn't apply
+   */
+  function rebuildFromCrossTab(chart, crossTabInfo, filters, rowFilters) {
+    if (!crossTabInfo || !crossTabInfo.data || !crossTabInfo.config) {
+      return null;
     }
+    const result = aggregateCrossTab(crossTabInfo.data, crossTabInfo.config, filters, rowFilters);
+    return applyCrossTabResult(chart, crossTabInfo, result);
+  }
+
+  /**
+   * Sum the n column of the filtered cross-tab rows per value of countVar.
+   * Like aggregateCrossTab, it also runs in the aggregation worker.
+   * 
+   * @returns {Object} { counts: Map of value -> n, total }
+   */
+  function countCrossTabValues(data, filterVars, filters, rowFilters, countVar) {
+    const counts = new Map();
+    let total = 0;
+    filterCrossTabRows(data, filterVars, filters, rowFilters).forEach(row => {
+      const value = String(row[countVar]);
+      const n = Number(row.n) || 0;
+      counts.set(value, (counts.get(value) || 0) + n);
+      total += n;
+    });
+    return { counts, total };
+  }
+
+  /**
+   * Filter the cross-tab rows and sum them into chart categories and series.
+   * Self-contained apart from filterCrossTabRows, so it also runs in the
+   * aggregation worker.
+   * 
+   * @returns {Object} { categories, series: [{ name, data }] }
+   */
+  function aggregateCrossTab(data, config, filters, rowFilters) {
+    const { xVar, stackVar, filterVars, stackedType, stackOrder, xOrder } = config;
+    
+    // Step 1: Filter the cross-tab data based on filter selections
+    const filteredData = filterCrossTabRows(data, filterVars, filters, rowFilters);
     
     // Step 2: Sum by x_var and stack_var (drop filter dimensions)
     const summed = {};
@@ -1082,38 +3846,483 @@
     const orderedStack = stackOrder && stackOrder.length > 0 ? stackOrder : 
       [...new Set(Object.values(summed).map(s => s.stackVal))];
     
+    return {
+      categories: orderedX,
+      series: orderedStack.map(stackVal => ({
+        name: stackVal,
+        data: orderedX.map(xVal => {
+          const count = (byX[xVal] && byX[xVal][stackVal]) ? byX[xVal][stackVal] : 0;
+          if (isPercent && xTotals[xVal] > 0) {
+            return (count / xTotals[xVal]) * 100;
+          }
+          return count;
+        })
+      }))
+    };
+  }
+
+  /**
+   * Show an aggregated cross-tab result, touching only what changed
+   * @returns {boolean} True if the chart changed and was redrawn
+   */
+  function applyCrossTabResult(chart, crossTabInfo, result) {
     // Update chart categories (x-axis)
-    if (chart.xAxis && chart.xAxis[0]) {
-      chart.xAxis[0].setCategories(orderedX, false);
+    let changed = false;
+    if (chart.xAxis && chart.xAxis[0] && !valuesEqual(chart.xAxis[0].categories, result.categories)) {
+      chart.xAxis[0].setCategories(result.categories, false);
+      changed = true;
     }
     
     // Update each series
-    orderedStack.forEach((stackVal, seriesIdx) => {
-      const seriesData = orderedX.map(xVal => {
-        const count = (byX[xVal] && byX[xVal][stackVal]) ? byX[xVal][stackVal] : 0;
-        if (isPercent && xTotals[xVal] > 0) {
-          return (count / xTotals[xVal]) * 100;
-        }
-        return count;
-      });
-      
+    result.series.forEach((seriesResult, seriesIdx) => {
       // Find the series by name or index
-      let series = chart.series.find(s => s.name === stackVal);
+      let series = chart.series.find(s => s.name === seriesResult.name);
       if (!series && seriesIdx < chart.series.length) {
         series = chart.series[seriesIdx];
       }
       
-      if (series) {
-        series.setData(seriesData, false);
+      if (series && markSeriesData(series, crossTabInfo, JSON.stringify(seriesResult.data))) {
+        series.setData(seriesResult.data, false);
+        changed = true;
       }
     });
     
-    // Redraw the chart
-    chart.redraw();
+    // Redraw the chart only if a series or the axis changed
+    if (changed) {
+      chart.redraw();
+    }
+    return changed;
+  }
+
+  // ============================================
+  // CROSS-TAB AGGREGATION WORKER
+  // ============================================
+  
+  // Smaller cross-tabs aggregate faster than a worker round trip
+  const WORKER_MIN_ROWS = 5000;
+  let crossTabWorker;                       // undefined until needed, null when unavailable
+  const workerDatasets = new WeakMap();     // cross-tab index -> id of its rows in the worker
+  const pendingJobs = new Map();            // job id -> { chart, crossTabInfo, filters, rowFilters }
+  const latestJobs = new WeakMap();         // chart -> id of its most recent job
+  const countJobs = new Map();              // job id -> input whose option counts it computes
+  const latestCountJobs = {};               // input id -> id of its most recent count job
+  let waitingPass = null;                   // filter pass announced once pendingJobs is empty
+  let nextDatasetId = 0;
+  let nextJobId = 0;
+
+  // Runs inside the worker, next to the aggregation functions copied into it
+  function crossTabWorkerMain() {
+    const datasets = {};
+    self.onmessage = event => {
+      const message = event.data;
+      if (message.type === 'data') {
+        datasets[message.datasetId] = message.data;
+        return;
+      }
+      const texts = {};
+      Object.keys(message.textQueries).forEach(filterVar => {
+        const query = message.textQueries[filterVar];
+        const matcher = createTextMatcher(query.text, query.mode);
+        if (matcher) texts[filterVar] = matcher;
+      });
+      const rowFilters = {
+        sliders: message.sliders,
+        brushes: message.brushes,
+        numbers: message.numbers,
+        texts: texts
+      };
+      const data = datasets[message.datasetId];
+      const result = message.type === 'counts' ?
+        countCrossTabValues(data, message.config.filterVars, message.filters, rowFilters, message.countVar) :
+        aggregateCrossTab(data, message.config, message.filters, rowFilters);
+      self.postMessage({ job: message.job, result: result });
+    };
+  }
+
+  /**
+   * Start the aggregation worker from an inline blob, so static sites need
+   * no extra file or server. Returns null where workers are unavailable.
+   */
+  function createCrossTabWorker() {
+    if (typeof Worker === 'undefined' || typeof Blob === 'undefined' ||
+        !window.URL || !URL.createObjectURL) {
+      return null;
+    }
+    const source = [
+      `const ALL_LABELS = ${JSON.stringify(ALL_LABELS)};`,
+      `const FOLDED_LETTERS = ${JSON.stringify(FOLDED_LETTERS)};`,
+      'const crossTabIndexes = new WeakMap();',
+      'const crossTabIndexesByShape = new Map();',
+      foldText, escapeRegExp, createTextMatcher, inSliderRange, matchesNumberFilter,
+      sameCrossTabRows, getCrossTabIndex, getValueIndex, filterCrossTabRows, countCrossTabValues,
+      aggregateCrossTab,
+      `(${crossTabWorkerMain})();`
+    ].map(String).join('\n');
+    
+    try {
+      const url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+      const worker = new Worker(url);
+      worker.onmessage = handleWorkerResult;
+      worker.onerror = handleWorkerFailure;
+      return worker;
+    } catch (e) {
+      // e.g. a Content-Security-Policy without blob: workers
+      return null;
+    }
+  }
+
+  /**
+   * Hand a large cross-tab chart's aggregation to the worker
+   * @returns {boolean} False if the chart must be rebuilt synchronously
+   */
+  function requestCrossTabAggregation(chart, crossTabInfo, filters, rowFilters) {
+    if (!useCrossTabWorker(crossTabInfo)) return false;
+    
+    const job = ++nextJobId;
+    latestJobs.set(chart, job);
+    pendingJobs.set(job, { chart, crossTabInfo, filters, rowFilters });
+    postCrossTabJob('aggregate', job, crossTabInfo, filters, rowFilters);
+    return true;
+  }
+
+  /**
+   * Hand the option counts of an input over a large cross-tab to the worker
+   * @returns {boolean} False if the counts must be computed synchronously
+   */
+  function requestOptionCounts(inputId, crossTabInfo, filters, rowFilters) {
+    if (!useCrossTabWorker(crossTabInfo)) {
+      delete latestCountJobs[inputId];
+      return false;
+    }
     
+    const job = ++nextJobId;
+    latestCountJobs[inputId] = job;
+    countJobs.set(job, inputId);
+    postCrossTabJob('counts', job, crossTabInfo, filters, rowFilters, {
+      countVar: inputState[inputId].filterVar
+    });
     return true;
   }
 
+  /**
+   * Whether a cross-tab is large enough for the worker, starting the worker
+   * on first use
+   */
+  function useCrossTabWorker(crossTabInfo) {
+    if (!crossTabInfo || !Array.isArray(crossTabInfo.data) || !crossTabInfo.config ||
+        crossTabInfo.data.length < WORKER_MIN_ROWS) {
+      return false;
+    }
+    if (crossTabWorker === undefined) {
+      crossTabWorker = createCrossTabWorker();
+    }
+    return !!crossTabWorker;
+  }
+
+  /**
+   * Post a job on a cross-tab's rows, copying them to the worker on first use
+   */
+  function postCrossTabJob(type, job, crossTabInfo, filters, rowFilters, extra) {
+    // Each distinct dataset is copied to the worker once, then referenced by id
+    const index = getCrossTabIndex(crossTabInfo.data);
+    let datasetId = workerDatasets.get(index);
+    if (datasetId === undefined) {
+      datasetId = nextDatasetId++;
+      workerDatasets.set(index, datasetId);
+      crossTabWorker.postMessage({ type: 'data', datasetId: datasetId, data: crossTabInfo.data });
+    }
+    
+    const textQueries = {};
+    Object.keys(rowFilters.texts).forEach(filterVar => {
+      textQueries[filterVar] = rowFilters.texts[filterVar].query;
+    });
+    crossTabWorker.postMessage(Object.assign({
+      type: type,
+      job: job,
+      datasetId: datasetId,
+      config: crossTabInfo.config,
+      filters: filters,
+      sliders: rowFilters.sliders,
+      brushes: rowFilters.brushes,
+      numbers: rowFilters.numbers,
+      textQueries: textQueries
+    }, extra));
+  }
+
+  /**
+   * Apply a worker result (chart data or option counts) unless a newer
+   * filter state was requested since
+   */
+  function handleWorkerResult(event) {
+    const { job, result } = event.data;
+    if (countJobs.has(job)) {
+      const inputId = countJobs.get(job);
+      countJobs.delete(job);
+      if (latestCountJobs[inputId] === job && inputState[inputId]) setOptionCounts(inputId, result);
+      return;
+    }
+    const pending = pendingJobs.get(job);
+    pendingJobs.delete(job);
+    if (pending && latestJobs.get(pending.chart) === job && Highcharts.charts.includes(pending.chart) &&
+        applyCrossTabResult(pending.chart, pending.crossTabInfo, result) && waitingPass) {
+      waitingPass.redrawn++;
+    }
+    settleFilterPass();
+  }
+
+  /**
+   * The worker failed (e.g. blocked by policy): drop it and rebuild the
+   * charts still waiting for a result synchronously
+   */
+  function handleWorkerFailure(event) {
+    if (event && event.preventDefault) event.preventDefault();
+    if (crossTabWorker) crossTabWorker.terminate();
+    crossTabWorker = null;
+    
+    const jobs = Array.from(pendingJobs.entries());
+    pendingJobs.clear();
+    jobs.forEach(([job, pending]) => {
+      if (latestJobs.get(pending.chart) !== job || !Highcharts.charts.includes(pending.chart)) return;
+      if (rebuildFromCrossTab(pending.chart, pending.crossTabInfo, pending.filters, pending.rowFilters) &&
+          waitingPass) {
+        waitingPass.redrawn++;
+      }
+    });
+    // Counts still on their way are recomputed synchronously (by the
+    // settling pass, if there is one)
+    if (countJobs.size > 0) {
+      countJobs.clear();
+      if (!waitingPass) updateOptionCounts();
+    }
+    settleFilterPass();
+  }
+
+  /**
+   * Find the filter toolbar, creating it if the page has none.
+   * Authors can place an empty .dashboardr-filter-toolbar element to
+   * control where it appears; otherwise it goes above the first input row
+   * (or at the top of the sidebar holding the inputs).
+   */
+  function getFilterToolbar() {
+    let toolbar = document.querySelector('.dashboardr-filter-toolbar');
+    if (toolbar) return toolbar;
+    
+    const firstInput = document.getElementById(Object.keys(inputState)[0]);
+    if (!firstInput) return null;
+    
+    toolbar = document.createElement('div');
+    toolbar.className = 'dashboardr-filter-toolbar';
+    
+    const row = firstInput.closest('.dashboardr-input-row');
+    const sidebar = firstInput.closest('.sidebar');
+    if (row) {
+      row.parentNode.insertBefore(toolbar, row);
+    } else if (sidebar) {
+      sidebar.insertBefore(toolbar, sidebar.firstChild);
+    } else {
+      const group = firstInput.closest('.dashboardr-input-group') || firstInput;
+      group.parentNode.insertBefore(toolbar, group);
+    }
+    return toolbar;
+  }
+
+  function createToolbarButton(action, label, title) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'dashboardr-toolbar-button';
+    button.dataset.action = action;
+    button.textContent = label;
+    button.title = title;
+    button.setAttribute('aria-label', title);
+    return button;
+  }
+
+  /**
+   * Add the undo/redo controls to the filter toolbar
+   */
+  function initFilterToolbar() {
+    const toolbar = getFilterToolbar();
+    if (!toolbar || toolbar.dataset.dashboardrInitialized === 'true') return;
+    toolbar.dataset.dashboardrInitialized = 'true';
+    
+    const historyGroup = document.createElement('div');
+    historyGroup.className = 'dashboardr-toolbar-group';
+    const undoButton = createToolbarButton('undo', '\u21B6', 'Undo (Ctrl+Z)');
+    const redoButton = createToolbarButton('redo', '\u21B7', 'Redo (Ctrl+Shift+Z)');
+    undoButton.addEventListener('click', undo);
+    redoButton.addEventListener('click', redo);
+    historyGroup.appendChild(undoButton);
+    historyGroup.appendChild(redoButton);
+    toolbar.appendChild(historyGroup);
+    
+    toolbar.appendChild(createViewsGroup());
+    
+    if (deferredApply) {
+      toolbar.appendChild(createApplyGroup());
+    }
+    
+    updateHistoryButtons();
+    renderViewOptions();
+    updatePendingChanges();
+  }
+
+  // ============================================
+  // ACTIVE FILTER CHIPS
+  // ============================================
+
+  /**
+   * Human-readable name of an input: data-label, its group label, or the filter variable
+   */
+  function getInputLabel(inputId) {
+    const element = document.getElementById(inputId);
+    if (element && element.dataset.label) return element.dataset.label;
+    const group = element && element.closest('.dashboardr-input-group');
+    const labelElement = (group && group.querySelector('.dashboardr-input-label, .dashboardr-switch-label')) ||
+      document.querySelector(`label[for="${inputId}"]`);
+    if (labelElement && labelElement.textContent.trim()) {
+      return labelElement.textContent.trim().replace(/:$/, '');
+    }
+    return inputState[inputId].label || inputState[inputId].filterVar || inputId;
+  }
+
+  /**
+   * Display label of a discrete option, without any live count
+   */
+  function getOptionLabel(inputId, value) {
+    const known = (inputState[inputId].options || []).find(opt => opt.value === value);
+    if (known) return known.label;
+    const option = getOptionElements(inputId).find(opt => opt.value === value);
+    if (!option || !option.labelElement) return value;
+    if (option.labelElement.dataset.label !== undefined) return option.labelElement.dataset.label;
+    const countElement = option.labelElement.querySelector('.dashboardr-option-count');
+    const text = option.labelElement.textContent;
+    return (countElement ? text.slice(0, text.length - countElement.textContent.length) : text).trim() || value;
+  }
+
+  /**
+   * Chip text for an input, e.g. "Country: DE, NL", "Age ≥ 35" or "Search: berlin"
+   */
+  function describeInputValue(inputId) {
+    const state = inputState[inputId];
+    const label = getInputLabel(inputId);
+    
+    switch (state.inputType) {
+      case 'slider':
+        return `${label} \u2265 ${sliderLabel(state.value, state.min, state.step, state.labels)}`;
+      case 'range_slider':
+        return `${label}: ${sliderLabel(state.value[0], state.min, state.step, state.labels)}` +
+          ` \u2013 ${sliderLabel(state.value[1], state.min, state.step, state.labels)}`;
+      case 'brush':
+        if (state.value === null) return `${label}: any`;
+        return `${label}: ${sliderLabel(state.value[0], state.min, state.step, state.labels)}` +
+          ` \u2013 ${sliderLabel(state.value[1], state.min, state.step, state.labels)}`;
+      case 'switch':
+        return `${label}: ${state.value ? 'On' : 'Off'}`;
+      case 'text':
+        return `${label}: ${state.value}`;
+      case 'number': {
+        const filter = getNumberFilter(state);
+        if (!filter) return `${label}: any`;
+        if (filter.operator !== 'between') {
+          const symbols = { '!=': '\u2260', '<=': '\u2264', '>=': '\u2265' };
+          return `${label} ${symbols[filter.operator] || filter.operator} ${filter.value}`;
+        }
+        if (filter.from === null) return `${label} \u2264 ${filter.to}`;
+        if (filter.to === null) return `${label} \u2265 ${filter.from}`;
+        return `${label}: ${filter.from} \u2013 ${filter.to}`;
+      }
+      default: {
+        const values = state.selected.map(value => getOptionLabel(inputId, value));
+        return `${label}: ${values.length > 0 ? values.join(', ') : 'none'}`;
+      }
+    }
+  }
+
+  /**
+   * Filter inputs whose value differs from their default (display options
+   * get no chips)
+   */
+  function getActiveInputs() {
+    return Object.keys(inputState).filter(inputId =>
+      defaultValues[inputId] && !inputState[inputId].chartOption &&
+      !valuesEqual(getInputValue(inputId), getDefaultValue(inputId))
+    );
+  }
+
+  /**
+   * Find the chip bar (an author-placed .dashboardr-filter-chips element),
+   * or create one right after the filter toolbar
+   */
+  function getFilterChipBar() {
+    let bar = document.querySelector('.dashboardr-filter-chips');
+    if (bar) return bar;
+    
+    const toolbar = getFilterToolbar();
+    if (!toolbar) return null;
+    bar = document.createElement('div');
+    bar.className = 'dashboardr-filter-chips';
+    toolbar.parentNode.insertBefore(bar, toolbar.nextSibling);
+    return bar;
+  }
+
+  /**
+   * Reset inputs to their defaults as a single change
+   */
+  function resetInputs(inputIds) {
+    if (inputIds.length === 0) return;
+    inputIds.forEach(inputId => setInputValue(inputId, getDefaultValue(inputId)));
+    handleInputChange(inputIds.length === 1 ? inputIds[0] : null);
+  }
+
+  /**
+   * Render one chip per non-default input, plus a "clear all" button
+   */
+  function renderFilterChips() {
+    const bar = getFilterChipBar();
+    if (!bar) return;
+    
+    const active = getActiveInputs();
+    bar.innerHTML = '';
+    bar.hidden = active.length === 0;
+    bar.setAttribute('role', 'region');
+    bar.setAttribute('aria-label', 'Active filters');
+    
+    active.forEach(inputId => {
+      const text = describeInputValue(inputId);
+      const chip = document.createElement('span');
+      chip.className = 'dashboardr-filter-chip';
+      chip.dataset.inputId = inputId;
+      
+      const textElement = document.createElement('span');
+      textElement.className = 'dashboardr-filter-chip-text';
+      textElement.textContent = text;
+      chip.appendChild(textElement);
+      
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'dashboardr-filter-chip-remove';
+      remove.textContent = '\u00D7';
+      remove.title = 'Remove filter';
+      remove.setAttribute('aria-label', `Remove filter ${text}`);
+      remove.addEventListener('click', () => resetInputs([inputId]));
+      chip.appendChild(remove);
+      
+      bar.appendChild(chip);
+    });
+    
+    if (active.length > 0) {
+      const clear = document.createElement('button');
+      clear.type = 'button';
+      clear.className = 'dashboardr-filter-chips-clear';
+      clear.textContent = 'Clear all';
+      clear.addEventListener('click', () => resetInputs(getActiveInputs()));
+      bar.appendChild(clear);
+    }
+  }
+
+  // Every change, programmatic or not, goes through notifyFilterChange
+  document.addEventListener('dashboardr:filterchange', renderFilterChips);
+
   // Track initialization state
   let initialized = false;
   let filtersApplied = false;
@@ -1132,6 +4341,9 @@
       if (charts.length > 0) {
         filtersApplied = true;
         storeOriginalData();
+        initCrossFilter();
+        initBrushing();
+        initChartTypes();
         applyAllFilters();
         return;
       }
@@ -1151,6 +4363,60 @@
     waitForChartsAndApply();
   }
 
+  // Back/forward navigation moves between filter states
+  window.addEventListener('popstate', () => {
+    clearTimeout(persistTimer);
+    if (restoreStateFromUrl(Object.keys(inputState))) {
+      handleInputChange();
+    }
+  });
+
+  // Deselect the active view once the filters no longer match it
+  document.addEventListener('dashboardr:filterchange', () => {
+    const select = document.querySelector('.dashboardr-views-select');
+    if (!select || !select.value) return;
+    if (!valuesEqual(selectedViewSnapshot, withoutChartSelections(snapshotValues()))) {
+      setSelectedView('');
+    }
+  });
+
+  // Escape clears chart click selections and brushed ranges, unless it is
+  // meant for a form field, an open dropdown or a modal
+  document.addEventListener('keydown', e => {
+    if (e.key !== 'Escape' || e.defaultPrevented) return;
+    const target = e.target;
+    if (target && target.closest && (target.isContentEditable ||
+        ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) ||
+        target.closest('.modal, [role="dialog"], .choices, .dropdown-menu'))) {
+      return;
+    }
+    if (document.querySelector('.modal.show, .choices.is-open, .dropdown-menu.show')) return;
+    if (clearChartSelections()) {
+      e.preventDefault();
+    }
+  });
+
+  // Keyboard shortcuts for undo/redo (text fields keep their native undo)
+  document.addEventListener('keydown', e => {
+    // Autofill and some IMEs send keydown events without a key
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || typeof e.key !== 'string' ||
+        e.key.toLowerCase() !== 'z') return;
+    const target = e.target;
+    if (target && (target.isContentEditable ||
+        (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) &&
+         !['checkbox', 'radio', 'range', 'button'].includes(target.type)))) {
+      return;
+    }
+    if (Object.keys(inputState).length === 0) return;
+    
+    e.preventDefault();
+    if (e.shiftKey) {
+      redo();
+    } else {
+      undo();
+    }
+  });
+
   // Re-apply on tab switch (for lazy-loaded tabs)
   document.addEventListener('click', e => {
     if (e.target.matches('[role="tab"], .nav-link, .panel-tab')) {
@@ -1158,6 +4424,9 @@
         // Only re-apply filters, don't re-initialize
         if (typeof Highcharts !== 'undefined') {
           storeOriginalData();
+          // Lazy-loaded charts get their brushes and type toolbars too
+          initBrushing();
+          initChartTypes();
           applyAllFilters();
         }
       }, 300);
@@ -1171,7 +4440,24 @@
     reapply: reapplyFilters,
     selectAll,
     clearAll,
+    getValue,
+    setValue,
     resetFilters,
+    undo,
+    redo,
+    clearChartSelections,
+    clearCrossFilters: clearChartSelections,  // name before brushing existed
+    applyPending: applyStagedChanges,
+    cancelPending: cancelStagedChanges,
+    views: {
+      list: () => getPresetViews().concat(getSavedViews()),
+      apply: applyView,
+      save: saveView,
+      rename: renameView,
+      remove: deleteView,
+      exportJSON: exportViews,
+      importJSON: importViews
+    },
     state: inputState,
     defaults: defaultValues,
     choices: choicesInstances